@@ -0,0 +1,21 @@
+import 'dotenv/config';
+import express from 'express';
+import geoMock from '../src/utils/geoMock.js';
+
+// Local geo/policy service for development: point GEO_DATA_API_URL at http://localhost:4010
+const PORT = process.env.GEO_MOCK_PORT || 4010;
+const app = express();
+app.use(express.json());
+
+app.post('/query', async (req, res) => {
+  const { status, data } = await geoMock.query(req.body?.question);
+  res.status(status).json(data);
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', service: 'geo-mock' });
+});
+
+app.listen(PORT, () => {
+  console.log(`🗺️  Geo mock listening on http://localhost:${PORT} (POST /query)`);
+});
@@ -2,14 +2,25 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import insightsRoutes from './src/routes/insightsRoutes.js';
+import watchlistRoutes from './src/routes/watchlistRoutes.js';
+import roadmapRoutes from './src/routes/roadmapRoutes.js';
+import profileRoutes from './src/routes/profileRoutes.js';
+import articleRoutes from './src/routes/articleRoutes.js';
+import policyRoutes from './src/routes/policyRoutes.js';
+import exploreSessionRoutes from './src/routes/exploreSessionRoutes.js';
+import schedulerService from './src/services/schedulerService.js';
 
 // Basic env validation & helpful warnings
-const baseRequired = ['NEWS_API_KEY','PROJECT_ID'];
+const storageBackend = (process.env.STORAGE_BACKEND || 'bigquery').toLowerCase();
+const baseRequired = ['NEWS_API_KEY', ...(storageBackend === 'bigquery' ? ['PROJECT_ID'] : [])];
 const baseMissing = baseRequired.filter(k => !process.env[k]);
 if (baseMissing.length) {
   console.warn('Missing required env vars:', baseMissing.join(', '));
 }
 
+console.log('Storage backend:', storageBackend);
+console.log('LLM provider:', (process.env.LLM_PROVIDER || 'vertex').toLowerCase());
+
 // Auth strategy detection
 if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
   console.log('Auth: service account key file mode');
@@ -35,7 +46,7 @@ const corsOptions = {
         return callback(new Error('CORS: Origin not allowed'));
       },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization'],
   maxAge: 86400,
 };
@@ -49,6 +60,12 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api', insightsRoutes);
+app.use('/api', watchlistRoutes);
+app.use('/api', roadmapRoutes);
+app.use('/api', profileRoutes);
+app.use('/api', articleRoutes);
+app.use('/api', policyRoutes);
+app.use('/api', exploreSessionRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -68,7 +85,16 @@ app.get('/', (req, res) => {
       health: '/health',
       setup: '/api/setup',
       ingestNews: 'POST /api/ingest/news',
-      insights: 'GET /api/insights?skills=python,js&role=engineer'
+      ingestAdapters: 'GET /api/ingest/adapters',
+      ingestPolicies: 'POST /api/ingest/policies',
+      insights: 'GET /api/insights?skills=python,js&role=engineer',
+      watchlist: '/api/watchlist',
+      roadmaps: '/api/roadmaps',
+      profiles: '/api/profiles',
+      articles: '/api/articles',
+      articleSearch: 'GET /api/articles/search?q=llm+jobs&mode=hybrid',
+      policies: '/api/policies',
+      exploreSessions: '/api/explore/sessions'
     }
   });
 });
@@ -90,4 +116,8 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    schedulerService.start().catch(err => console.error('Scheduler failed to start:', err.message));
+  }
 });
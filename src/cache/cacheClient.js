@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import MemoryCache from './memoryCache.js';
+import RedisCache from './redisCache.js';
+
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+// Seconds a result stays cached, per endpoint; endpoints not listed are never cached
+const DEFAULT_TTLS = {
+  overview: 300,
+  trends: 900,
+  insights: 600,
+  'skills-gap': 600,
+  explore: 300,
+  synthesis: 3600
+};
+// Endpoints whose results depend on stored articles; their entries are dropped when articles change
+const ARTICLE_SENSITIVE = ['overview', 'trends', 'insights', 'skills-gap', 'explore'];
+
+const backends = {
+  memory: () => new MemoryCache(),
+  redis: () => new RedisCache(),
+  none: () => null
+};
+
+// CACHE_TTLS accepts JSON ({"overview":60}) or a list (overview=60,trends=0)
+function parseTtls(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return Object.fromEntries(value.split(',')
+      .map(pair => pair.split('=').map(s => s.trim()))
+      .filter(([name, ttl]) => name && ttl !== undefined && Number.isFinite(Number(ttl)))
+      .map(([name, ttl]) => [name, Number(ttl)]));
+  }
+}
+
+// JSON with object keys sorted, so equivalent parameters produce the same key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Read-through cache for storage queries and LLM calls. Caching only happens
+ * inside a request that went through `middleware(endpoint)`: the endpoint picks
+ * the TTL, and the request collects hit/miss counts for the X-Cache headers.
+ * Calls made outside a request (scheduled ingestion, startup) always go to the
+ * source.
+ */
+class CacheClient {
+  constructor(backend, ttls = {}) {
+    this.backend = backend;
+    this.ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.context = new AsyncLocalStorage();
+  }
+
+  get backendName() {
+    return this.backend ? this.backend.name : 'none';
+  }
+
+  ttlFor(endpoint) {
+    return Number(this.ttls[endpoint]) || 0;
+  }
+
+  /**
+   * Route middleware enabling the cache for one endpoint. `?cache=false` or a
+   * `Cache-Control: no-cache` request header skips lookups (fresh results are
+   * still stored). Responses get X-Cache (HIT, MISS, PARTIAL or BYPASS) plus
+   * X-Cache-Hits / X-Cache-Misses when any cacheable call was made.
+   */
+  middleware(endpoint) {
+    return (req, res, next) => {
+      const ctx = {
+        endpoint,
+        ttl: this.ttlFor(endpoint),
+        bypass: req.query.cache === 'false' || /no-cache/i.test(req.get('cache-control') || ''),
+        hits: 0,
+        misses: 0
+      };
+
+      const writeHead = res.writeHead;
+      res.writeHead = function (...args) {
+        if (ctx.hits + ctx.misses > 0 && !res.headersSent) {
+          let state = ctx.hits === 0 ? 'MISS' : ctx.misses === 0 ? 'HIT' : 'PARTIAL';
+          if (ctx.bypass) state = 'BYPASS';
+          res.setHeader('X-Cache', state);
+          res.setHeader('X-Cache-Hits', String(ctx.hits));
+          res.setHeader('X-Cache-Misses', String(ctx.misses));
+        }
+        return writeHead.apply(this, args);
+      };
+
+      this.context.run(ctx, next);
+    };
+  }
+
+  key(kind, parts) {
+    return `${kind}:${crypto.createHash('sha256').update(stableStringify(parts)).digest('hex')}`;
+  }
+
+  /**
+   * Look up a cached value for the current request.
+   * @returns {Promise<{ key, hit: boolean, value } | null>} null when caching is not active
+   */
+  async lookup(kind, parts) {
+    const ctx = this.context.getStore();
+    if (!this.backend || !ctx || ctx.ttl <= 0) return null;
+
+    const key = this.key(kind, parts);
+    const value = ctx.bypass ? undefined : await this.backend.get(key);
+    if (value !== undefined) {
+      ctx.hits++;
+      return { key, hit: true, value };
+    }
+    ctx.misses++;
+    return { key, hit: false, value: undefined, kind, ctx };
+  }
+
+  async store(entry, value) {
+    if (!entry || entry.hit) return;
+    await this.backend.set(entry.key, value, entry.ctx.ttl, [entry.kind, `endpoint:${entry.ctx.endpoint}`]);
+  }
+
+  /**
+   * Return the cached value for (kind, parts) or compute and store it.
+   * @param {string} kind - 'storage' | 'llm'
+   * @param {*} parts - anything identifying the call (serialized with sorted keys)
+   * @param {Function} compute - async () => value
+   * @param {{ cacheIf?: Function }} [options] - skip storing values the predicate rejects
+   */
+  async wrap(kind, parts, compute, { cacheIf = () => true } = {}) {
+    const entry = await this.lookup(kind, parts);
+    if (entry?.hit) return entry.value;
+    const value = await compute();
+    if (entry && cacheIf(value)) await this.store(entry, value);
+    return value;
+  }
+
+  // Called after stored articles changed (ingest, deletion)
+  async invalidateArticles() {
+    if (!this.backend) return 0;
+    return this.backend.invalidateTags(['storage', ...ARTICLE_SENSITIVE.map(e => `endpoint:${e}`)]);
+  }
+
+  async clear() {
+    if (this.backend) await this.backend.clear();
+  }
+
+  async stats() {
+    const base = { ttls: this.ttls };
+    return this.backend ? { ...(await this.backend.stats()), ...base } : { backend: 'none', ...base };
+  }
+}
+
+function createCacheClient(name = CACHE_BACKEND) {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown CACHE_BACKEND "${name}". Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+  return new CacheClient(factory(), parseTtls(process.env.CACHE_TTLS));
+}
+
+export { createCacheClient };
+export default createCacheClient();
@@ -0,0 +1,69 @@
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 1000);
+
+/**
+ * In-process cache backend. Entries expire lazily on read; when full, the
+ * least recently used entry is evicted (Map keeps insertion order and reads
+ * re-insert).
+ */
+class MemoryCache {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map(); // key -> { value, expiresAt, tags }
+    this.tagIndex = new Map(); // tag -> Set of keys
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds, tags = []) {
+    this.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000, tags });
+    for (const tag of tags) {
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
+    }
+    while (this.entries.size > CACHE_MAX_ENTRIES) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Drop every entry carrying any of the tags; returns how many were removed
+  async invalidateTags(tags = []) {
+    let removed = 0;
+    for (const tag of tags) {
+      for (const key of this.tagIndex.get(tag) || []) {
+        if (this.delete(key)) removed++;
+      }
+      this.tagIndex.delete(tag);
+    }
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tagIndex.clear();
+  }
+
+  async stats() {
+    return { backend: this.name, entries: this.entries.size, maxEntries: CACHE_MAX_ENTRIES };
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    for (const tag of entry.tags) this.tagIndex.get(tag)?.delete(key);
+    return true;
+  }
+}
+
+export default MemoryCache;
@@ -0,0 +1,102 @@
+import { createClient } from 'redis';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const CACHE_PREFIX = process.env.CACHE_PREFIX || 'career-insights:';
+// How long a request waits for the initial connection before treating the lookup as a miss
+const REDIS_WAIT_MS = 500;
+
+/**
+ * Redis (or any Redis-protocol server: Valkey, KeyDB, Dragonfly...) cache
+ * backend. Values are stored as JSON with a TTL; each tag is a set of keys so
+ * invalidation can find them. Connection problems are reported as misses so a
+ * cache outage never fails a request.
+ */
+class RedisCache {
+  constructor() {
+    this.name = 'redis';
+    this.client = null;
+    this.ready = null;
+    this.lastError = null;
+  }
+
+  // Connect once in the background; callers wait briefly and treat "not ready" as a failure
+  async connect() {
+    if (!this.client) {
+      this.client = createClient({
+        url: REDIS_URL,
+        disableOfflineQueue: true, // fail fast instead of queueing commands while disconnected
+        socket: { connectTimeout: 2000, reconnectStrategy: retries => Math.min(retries * 500, 5000) }
+      });
+      this.client.on('error', error => {
+        if (error.message !== this.lastError) console.warn('Redis cache error:', error.message);
+        this.lastError = error.message;
+      });
+      this.client.on('ready', () => { this.lastError = null; });
+      this.ready = this.client.connect().catch(() => {});
+    }
+    // Once a connection error is known, fail immediately until the client reconnects
+    if (!this.client.isReady && !this.lastError) {
+      await Promise.race([this.ready, new Promise(resolve => setTimeout(resolve, REDIS_WAIT_MS).unref())]);
+    }
+    if (!this.client.isReady) throw new Error(`Redis cache not connected (${this.lastError || REDIS_URL})`);
+    return this.client;
+  }
+
+  async get(key) {
+    try {
+      const client = await this.connect();
+      const raw = await client.get(CACHE_PREFIX + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    } catch (error) {
+      if (this.client?.isReady) console.warn('Redis cache get failed:', error.message);
+      return undefined;
+    }
+  }
+
+  async set(key, value, ttlSeconds, tags = []) {
+    try {
+      const client = await this.connect();
+      const multi = client.multi().set(CACHE_PREFIX + key, JSON.stringify(value), { EX: ttlSeconds });
+      for (const tag of tags) multi.sAdd(`${CACHE_PREFIX}tag:${tag}`, key);
+      await multi.exec();
+    } catch (error) {
+      if (this.client?.isReady) console.warn('Redis cache set failed:', error.message);
+    }
+  }
+
+  async invalidateTags(tags = []) {
+    try {
+      const client = await this.connect();
+      let removed = 0;
+      for (const tag of tags) {
+        const tagKey = `${CACHE_PREFIX}tag:${tag}`;
+        const keys = await client.sMembers(tagKey);
+        if (keys.length) removed += await client.del(keys.map(k => CACHE_PREFIX + k));
+        await client.del(tagKey);
+      }
+      return removed;
+    } catch (error) {
+      console.warn('Redis cache invalidation failed:', error.message);
+      return 0;
+    }
+  }
+
+  async clear() {
+    const client = await this.connect();
+    for await (const keys of client.scanIterator({ MATCH: `${CACHE_PREFIX}*`, COUNT: 500 })) {
+      const batch = Array.isArray(keys) ? keys : [keys];
+      if (batch.length) await client.del(batch);
+    }
+  }
+
+  async stats() {
+    try {
+      await this.connect();
+      return { backend: this.name, url: REDIS_URL.replace(/\/\/[^@]*@/, '//***@'), prefix: CACHE_PREFIX, connected: true };
+    } catch (error) {
+      return { backend: this.name, prefix: CACHE_PREFIX, connected: false, error: error.message };
+    }
+  }
+}
+
+export default RedisCache;
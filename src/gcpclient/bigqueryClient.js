@@ -1,11 +1,43 @@
 import { BigQuery } from '@google-cloud/bigquery';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import { withDemandTiers } from '../storage/skillGrowth.js';
 
 const PROJECT_ID = process.env.PROJECT_ID;
 const DATASET = process.env.BQ_DATASET || 'career_insights';
 const NEWS_TABLE = process.env.BQ_NEWS_TABLE || 'news_articles';
 
+// Columns added after the first release must be NULLABLE/REPEATED so
+// migrateSchema() can append them to existing tables.
+const NEWS_SCHEMA = [
+  { name: 'id', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'title', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'body', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'source', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'published_at', type: 'TIMESTAMP', mode: 'NULLABLE' },
+  { name: 'tags', type: 'STRING', mode: 'REPEATED' },
+  { name: 'ingested_at', type: 'TIMESTAMP', mode: 'NULLABLE', defaultValueExpression: 'CURRENT_TIMESTAMP()' },
+  { name: 'url', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'author', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'image_url', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'content', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'embedding', type: 'FLOAT64', mode: 'REPEATED' },
+  { name: 'embedding_model', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'ingest_query', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'ingest_adapter', type: 'STRING', mode: 'NULLABLE' }
+];
+
+// Changes to these columns invalidate the stored article embedding
+const TEXT_CHANGED = "(T.title != S.title OR IFNULL(T.body, '') != S.body OR IFNULL(T.content, '') != IFNULL(S.content, ''))";
+
+// Columns returned by the article listing queries
+const ARTICLE_COLUMNS = 'id, title, body, source, published_at, tags, url, author, image_url, content';
+// Article columns plus ingest metadata (listArticles/getArticle)
+const STORED_ARTICLE_COLUMNS = `${ARTICLE_COLUMNS}, ingested_at, ingest_query, ingest_adapter,
+  IF(ARRAY_LENGTH(embedding) > 0, embedding_model, NULL) AS embedding_model`;
+
 class BigQueryClient {
   constructor() {
+    this.backend = 'bigquery';
     this.bigquery = null;
   }
 
@@ -32,83 +64,143 @@ class BigQueryClient {
       const table = dataset.table(NEWS_TABLE);
       const [tableExists] = await table.exists();
 
+      let migrated = [];
       if (!tableExists) {
-        const schema = [
-          { name: 'id', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'title', type: 'STRING', mode: 'REQUIRED' },
-          { name: 'body', type: 'STRING', mode: 'NULLABLE' },
-          { name: 'source', type: 'STRING', mode: 'NULLABLE' },
-          { name: 'published_at', type: 'TIMESTAMP', mode: 'NULLABLE' },
-          { name: 'tags', type: 'STRING', mode: 'REPEATED' },
-          { name: 'ingested_at', type: 'TIMESTAMP', mode: 'NULLABLE', defaultValueExpression: 'CURRENT_TIMESTAMP()' }
-        ];
-
-        await table.create({ schema });
+        await table.create({ schema: NEWS_SCHEMA });
         console.log(`📋 Table ${NEWS_TABLE} created with schema`);
+      } else {
+        migrated = await this.migrateSchema(table);
       }
 
-      return { dataset: DATASET, table: NEWS_TABLE, created: !tableExists };
+      return { dataset: DATASET, table: NEWS_TABLE, created: !tableExists, migrated };
     } catch (error) {
       console.error('Error creating dataset/table:', error);
       throw error;
     }
   }
 
+  // Append any NEWS_SCHEMA columns missing from an existing table; returns the added names
+  async migrateSchema(table) {
+    const [metadata] = await table.getMetadata();
+    const fields = metadata.schema?.fields || [];
+    const present = new Set(fields.map(f => f.name));
+    const missing = NEWS_SCHEMA.filter(col => !present.has(col.name));
+    if (missing.length === 0) return [];
+
+    await table.setMetadata({ schema: { fields: [...fields, ...missing] } });
+    console.log(`📋 Table ${NEWS_TABLE} migrated, added columns: ${missing.map(c => c.name).join(', ')}`);
+    return missing.map(c => c.name);
+  }
+
+  // Kept for callers that only need a row count; writes are idempotent upserts
   async insertNewsArticles(articles) {
+    const { inserted, updated } = await this.upsertNewsArticles(articles);
+    return inserted + updated;
+  }
+
+  /**
+   * Idempotent write keyed by article ID. New IDs are inserted, existing IDs are
+   * updated only when their stored fields changed, everything else is left as is.
+   * @returns {Promise<{inserted: number, updated: number, unchanged: number}>}
+   */
+  async upsertNewsArticles(articles) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+      return { inserted: 0, updated: 0, unchanged: 0 };
+    }
     try {
       const bq = this.initClient();
-      const table = bq.dataset(DATASET).table(NEWS_TABLE);
 
       const rows = articles.map(article => ({
         id: article.id,
         title: article.title,
-        body: article.body,
-        source: article.source,
-        published_at: article.publishedAt ? new Date(article.publishedAt) : new Date(),
+        body: article.body || '',
+        source: article.source || '',
+        published_at: (article.publishedAt ? new Date(article.publishedAt) : new Date()).toISOString(),
         tags: article.tags || [],
-        ingested_at: new Date()
+        url: article.url || '',
+        author: article.author || '',
+        image_url: article.imageUrl || '',
+        content: article.content || '',
+        ingest_query: article.ingestQuery || '',
+        ingest_adapter: article.adapter || ''
       }));
 
-      const insertOptions = {
-        ignoreUnknownValues: false,
-        skipInvalidRows: false,
-        createInsertId: false
-      };
+      const sql = `
+        MERGE \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\` T
+        USING (
+          SELECT id, title, body, source, TIMESTAMP(published_at) AS published_at, tags,
+            NULLIF(url, '') AS url, NULLIF(author, '') AS author,
+            NULLIF(image_url, '') AS image_url, NULLIF(content, '') AS content,
+            NULLIF(ingest_query, '') AS ingest_query, NULLIF(ingest_adapter, '') AS ingest_adapter
+          FROM UNNEST(@rows)
+        ) S
+        ON T.id = S.id
+        WHEN MATCHED AND (
+          T.title != S.title
+          OR IFNULL(T.body, '') != S.body
+          OR IFNULL(T.source, '') != S.source
+          OR ARRAY_TO_STRING(T.tags, ',') != ARRAY_TO_STRING(S.tags, ',')
+          OR IFNULL(T.url, '') != IFNULL(S.url, '')
+          OR IFNULL(T.author, '') != IFNULL(S.author, '')
+          OR IFNULL(T.image_url, '') != IFNULL(S.image_url, '')
+          OR IFNULL(T.content, '') != IFNULL(S.content, '')
+        ) THEN
+          UPDATE SET title = S.title, body = S.body, source = S.source, tags = S.tags,
+            url = S.url, author = S.author, image_url = S.image_url, content = S.content,
+            embedding = IF(${TEXT_CHANGED}, ARRAY<FLOAT64>[], T.embedding),
+            embedding_model = IF(${TEXT_CHANGED}, NULL, T.embedding_model)
+        WHEN NOT MATCHED THEN
+          INSERT (id, title, body, source, published_at, tags, ingested_at, url, author, image_url, content, ingest_query, ingest_adapter)
+          VALUES (S.id, S.title, S.body, S.source, S.published_at, S.tags, CURRENT_TIMESTAMP(), S.url, S.author, S.image_url, S.content, S.ingest_query, S.ingest_adapter)
+      `;
 
-      await table.insert(rows, insertOptions);
-      console.log(`Inserted ${rows.length} articles into ${DATASET}.${NEWS_TABLE}`);
-      
-      return rows.length;
+      const [job] = await bq.createQueryJob({
+        query: sql,
+        params: { rows },
+        types: {
+          rows: [{
+            id: 'STRING', title: 'STRING', body: 'STRING', source: 'STRING', published_at: 'STRING', tags: ['STRING'],
+            url: 'STRING', author: 'STRING', image_url: 'STRING', content: 'STRING',
+            ingest_query: 'STRING', ingest_adapter: 'STRING'
+          }]
+        }
+      });
+      await job.getQueryResults();
+      const [metadata] = await job.getMetadata();
+      const dmlStats = metadata?.statistics?.query?.dmlStats || {};
+      const inserted = Number(dmlStats.insertedRowCount || 0);
+      const updated = Number(dmlStats.updatedRowCount || 0);
+      console.log(`Upserted ${rows.length} articles into ${DATASET}.${NEWS_TABLE} (${inserted} new, ${updated} updated)`);
+
+      return { inserted, updated, unchanged: rows.length - inserted - updated };
     } catch (error) {
-      console.error('Error inserting articles:', error);
+      console.error('Error upserting articles:', error);
       throw error;
     }
   }
 
-  async queryTopTrends(daysPast = 7) {
+  // Recent IDs and titles, used for near-duplicate detection during ingestion
+  async queryRecentTitles(daysPast = 7) {
     try {
       const bq = this.initClient();
-      
       const sql = `
-        SELECT skill, COUNT(*) as mentions
-        FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`, 
-        UNNEST(tags) as skill
+        SELECT id, title
+        FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
         WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
-        GROUP BY skill
-        ORDER BY mentions DESC
-        LIMIT 10
       `;
 
-      const options = {
-        query: sql,
-        params: { daysPast },
-        types: { daysPast: 'INT64' }
-      };
-
-      const [job] = await bq.createQueryJob(options);
+      const [job] = await bq.createQueryJob({ query: sql, params: { daysPast }, types: { daysPast: 'INT64' } });
       const [rows] = await job.getQueryResults();
-      
       return rows;
+    } catch (error) {
+      console.error('Error querying recent titles:', error);
+      throw error;
+    }
+  }
+
+  async queryTopTrends(daysPast = 7) {
+    try {
+      return await this.queryTopSkillsFiltered(daysPast, 10, []);
     } catch (error) {
       console.error('Error querying trends:', error);
       throw error;
@@ -130,17 +222,29 @@ class BigQueryClient {
     }
   }
 
-  // Top skills (optionally filtered by a list of liked skills)
+  // Top skills (optionally filtered by a list of liked skills). Stored tags are
+  // mapped to their canonical taxonomy name, so aliases ("ml", "machine-learning")
+  // count as one skill and an article is counted once per skill.
   async queryTopSkillsFiltered(daysPast = 7, limit = 10, likedSkills = []) {
     try {
       const bq = this.initClient();
       const filterByLikes = Array.isArray(likedSkills) && likedSkills.length > 0;
+      const aliases = skillTaxonomy.aliasPairs();
 
       const sql = `
-        SELECT skill, COUNT(*) as mentions
-        FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`, UNNEST(tags) as skill
-        WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
-        ${filterByLikes ? 'AND LOWER(skill) IN UNNEST(@likedSkills)' : ''}
+        WITH tagged AS (
+          SELECT id, LOWER(tag) AS tag
+          FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`, UNNEST(tags) AS tag
+          WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
+        ),
+        canonical AS (
+          SELECT tagged.id, COALESCE(a.canonical, tagged.tag) AS skill
+          FROM tagged
+          LEFT JOIN UNNEST(@aliases) AS a ON a.alias = tagged.tag
+        )
+        SELECT skill, COUNT(DISTINCT id) AS mentions
+        FROM canonical
+        ${filterByLikes ? 'WHERE skill IN UNNEST(@likedSkills)' : ''}
         GROUP BY skill
         ORDER BY mentions DESC
         LIMIT @limit
@@ -151,9 +255,10 @@ class BigQueryClient {
         params: {
           daysPast,
           limit,
-          ...(filterByLikes ? { likedSkills: likedSkills.map(s => s.toLowerCase()) } : {})
+          aliases,
+          ...(filterByLikes ? { likedSkills: likedSkills.map(s => skillTaxonomy.canonicalize(s)) } : {})
         },
-        types: { daysPast: 'INT64', limit: 'INT64' }
+        types: { daysPast: 'INT64', limit: 'INT64', aliases: [{ alias: 'STRING', canonical: 'STRING' }] }
       };
 
       const [job] = await bq.createQueryJob(options);
@@ -165,7 +270,70 @@ class BigQueryClient {
     }
   }
 
-  // Get recent articles that match any of the provided tags
+  /**
+   * Skill growth: mentions in the current window (same cut-off as queryTopTrends)
+   * versus the previous equal-length window, plus a z-score against the mean and
+   * standard deviation of the trailing `baselineWindows` windows.
+   * @returns {Promise<Array<{skill, mentions, previousMentions, growthPct, baselineMentions, zScore, demandTier}>>}
+   */
+  async querySkillGrowth(daysPast = 7, limit = 10, baselineWindows = 4) {
+    try {
+      const bq = this.initClient();
+      const windowDays = daysPast + 1; // DATE(published_at) >= CURRENT_DATE() - daysPast spans daysPast + 1 days
+
+      const sql = `
+        WITH tagged AS (
+          SELECT id, LOWER(tag) AS tag, DIV(DATE_DIFF(CURRENT_DATE(), DATE(published_at), DAY), @windowDays) AS w
+          FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`, UNNEST(tags) AS tag
+          WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL (@windowDays * (@baselineWindows + 1) - 1) DAY)
+            AND DATE(published_at) <= CURRENT_DATE()
+        ),
+        windows AS (
+          SELECT COALESCE(a.canonical, tagged.tag) AS skill, w, COUNT(DISTINCT id) AS mentions
+          FROM tagged
+          LEFT JOIN UNNEST(@aliases) AS a ON a.alias = tagged.tag
+          GROUP BY skill, w
+        ),
+        stats AS (
+          SELECT skill,
+            SUM(IF(w = 0, mentions, 0)) AS mentions,
+            SUM(IF(w = 1, mentions, 0)) AS previous_mentions,
+            SUM(IF(w BETWEEN 1 AND @baselineWindows, mentions, 0)) / @baselineWindows AS baseline_mean,
+            SUM(IF(w BETWEEN 1 AND @baselineWindows, mentions * mentions, 0)) / @baselineWindows AS baseline_sq
+          FROM windows
+          GROUP BY skill
+        ),
+        scored AS (
+          SELECT *, SQRT(GREATEST(baseline_sq - baseline_mean * baseline_mean, 0)) AS baseline_stddev
+          FROM stats
+          WHERE mentions > 0
+        )
+        SELECT
+          skill,
+          mentions,
+          previous_mentions AS previousMentions,
+          IF(previous_mentions > 0, ROUND((mentions - previous_mentions) * 100 / previous_mentions, 1), NULL) AS growthPct,
+          ROUND(baseline_mean, 2) AS baselineMentions,
+          IF(baseline_stddev > 0, ROUND((mentions - baseline_mean) / baseline_stddev, 2), NULL) AS zScore
+        FROM scored
+        ORDER BY mentions DESC, skill
+        LIMIT @limit
+      `;
+
+      const [job] = await bq.createQueryJob({
+        query: sql,
+        params: { windowDays, baselineWindows, limit, aliases: skillTaxonomy.aliasPairs() },
+        types: { windowDays: 'INT64', baselineWindows: 'INT64', limit: 'INT64', aliases: [{ alias: 'STRING', canonical: 'STRING' }] }
+      });
+      const [rows] = await job.getQueryResults();
+      return withDemandTiers(rows);
+    } catch (error) {
+      console.error('Error querying skill growth:', error);
+      throw error;
+    }
+  }
+
+  // Get recent articles that match any of the provided tags (or their taxonomy aliases)
   async queryArticlesByTags(tags = [], daysPast = 7, limit = 10) {
     if (!Array.isArray(tags)) tags = [];
     try {
@@ -174,11 +342,11 @@ class BigQueryClient {
 
       const sql = `
         WITH filtered AS (
-          SELECT id, title, body, source, published_at, tags
+          SELECT ${ARTICLE_COLUMNS}
           FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
           WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
         )
-        SELECT id, title, body, source, published_at, tags
+        SELECT ${ARTICLE_COLUMNS}
         FROM filtered, UNNEST(tags) AS tag
         ${hasTags ? 'WHERE LOWER(tag) IN UNNEST(@tags)' : ''}
         QUALIFY ROW_NUMBER() OVER (PARTITION BY id ORDER BY published_at DESC) = 1
@@ -191,20 +359,57 @@ class BigQueryClient {
         params: {
           daysPast,
           limit,
-          ...(hasTags ? { tags: tags.map(t => t.toLowerCase()) } : {})
+          ...(hasTags ? { tags: skillTaxonomy.expand(tags) } : {})
         },
         types: { daysPast: 'INT64', limit: 'INT64' }
       };
 
       const [job] = await bq.createQueryJob(options);
       const [rows] = await job.getQueryResults();
-      return rows;
+      return rows.map(normalizeArticleRow);
     } catch (error) {
       console.error('Error querying articles by tags:', error);
       throw error;
     }
   }
 
+  /**
+   * Up to `perTag` recent articles for each tag (or taxonomy alias) in one query.
+   * Rows carry `matched_tag`, the stored spelling they were selected for; an article
+   * tagged with several of the tags appears once per tag.
+   */
+  async queryArticlesPerTag(tags = [], daysPast = 7, perTag = 3) {
+    if (!Array.isArray(tags) || tags.length === 0) return [];
+    try {
+      const bq = this.initClient();
+      const sql = `
+        WITH filtered AS (
+          SELECT ${ARTICLE_COLUMNS}
+          FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
+          WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
+        )
+        SELECT ${ARTICLE_COLUMNS}, LOWER(tag) AS matched_tag
+        FROM filtered, UNNEST(tags) AS tag
+        WHERE LOWER(tag) IN UNNEST(@tags)
+        QUALIFY ROW_NUMBER() OVER (PARTITION BY LOWER(tag) ORDER BY published_at DESC, id) <= @perTag
+        ORDER BY published_at DESC
+      `;
+
+      const options = {
+        query: sql,
+        params: { daysPast, perTag, tags: skillTaxonomy.expand(tags) },
+        types: { daysPast: 'INT64', perTag: 'INT64' }
+      };
+
+      const [job] = await bq.createQueryJob(options);
+      const [rows] = await job.getQueryResults();
+      return rows.map(normalizeArticleRow);
+    } catch (error) {
+      console.error('Error querying articles per tag:', error);
+      throw error;
+    }
+  }
+
   // Get recent articles that match any of the provided keywords in title or body
   async queryArticlesByKeywords(keywords = [], daysPast = 7, limit = 10) {
     if (!Array.isArray(keywords)) keywords = [];
@@ -213,7 +418,7 @@ class BigQueryClient {
       const hasKw = keywords.length > 0;
 
       const sql = `
-        SELECT id, title, body, source, published_at, tags
+        SELECT ${ARTICLE_COLUMNS}
         FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
         WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
         ${hasKw ? 'AND EXISTS (SELECT 1 FROM UNNEST(@keywords) kw WHERE STRPOS(LOWER(title), kw) > 0 OR STRPOS(LOWER(body), kw) > 0)' : ''}
@@ -233,13 +438,260 @@ class BigQueryClient {
 
       const [job] = await bq.createQueryJob(options);
       const [rows] = await job.getQueryResults();
-      return rows;
+      return rows.map(normalizeArticleRow);
     } catch (error) {
       console.error('Error querying articles by keywords:', error);
       throw error;
     }
   }
 
+  // Recent articles with no embedding from `model` yet, newest first
+  async queryArticlesWithoutEmbedding(model, daysPast = 30, limit = 100) {
+    try {
+      const bq = this.initClient();
+      const sql = `
+        SELECT ${ARTICLE_COLUMNS}
+        FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
+        WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
+          AND (embedding_model IS NULL OR embedding_model != @model OR ARRAY_LENGTH(embedding) = 0)
+        ORDER BY published_at DESC
+        LIMIT @limit
+      `;
+
+      const [job] = await bq.createQueryJob({
+        query: sql,
+        params: { model, daysPast, limit },
+        types: { model: 'STRING', daysPast: 'INT64', limit: 'INT64' }
+      });
+      const [rows] = await job.getQueryResults();
+      return rows.map(normalizeArticleRow);
+    } catch (error) {
+      console.error('Error querying articles without embedding:', error);
+      throw error;
+    }
+  }
+
+  // Store embeddings ([{ id, embedding, model }]); returns how many articles were updated
+  async updateArticleEmbeddings(rows = []) {
+    if (!Array.isArray(rows) || rows.length === 0) return 0;
+    try {
+      const bq = this.initClient();
+      const sql = `
+        MERGE \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\` T
+        USING UNNEST(@rows) S
+        ON T.id = S.id
+        WHEN MATCHED THEN
+          UPDATE SET embedding = S.embedding, embedding_model = S.model
+      `;
+
+      const [job] = await bq.createQueryJob({
+        query: sql,
+        params: { rows },
+        types: { rows: [{ id: 'STRING', embedding: ['FLOAT64'], model: 'STRING' }] }
+      });
+      await job.getQueryResults();
+      const [metadata] = await job.getMetadata();
+      return Number(metadata?.statistics?.query?.dmlStats?.updatedRowCount || 0);
+    } catch (error) {
+      console.error('Error updating article embeddings:', error);
+      throw error;
+    }
+  }
+
+  // Recent articles ranked by cosine similarity between their embedding and `vector`
+  async querySimilarArticles(vector, model, daysPast = 30, limit = 5) {
+    try {
+      const bq = this.initClient();
+      const sql = `
+        SELECT ${ARTICLE_COLUMNS}, ROUND(1 - ML.DISTANCE(embedding, @vector, 'COSINE'), 4) AS similarity
+        FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
+        WHERE DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL @daysPast DAY)
+          AND embedding_model = @model
+          AND ARRAY_LENGTH(embedding) = ARRAY_LENGTH(@vector)
+        ORDER BY similarity DESC
+        LIMIT @limit
+      `;
+
+      const [job] = await bq.createQueryJob({
+        query: sql,
+        params: { vector, model, daysPast, limit },
+        types: { vector: ['FLOAT64'], model: 'STRING', daysPast: 'INT64', limit: 'INT64' }
+      });
+      const [rows] = await job.getQueryResults();
+      return rows.map(normalizeArticleRow);
+    } catch (error) {
+      console.error('Error querying similar articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Page of stored articles sorted by published or ingested time, newest first
+   * unless order is 'asc'. from/to bound the sorted time field. Keyset
+   * pagination on (time, id) via `after: { value, id }`. Times are compared
+   * at millisecond precision, the precision of the returned rows and so of the
+   * cursor value; BigQuery keeps microseconds, and a MERGE stamps its whole
+   * batch with one ingested_at.
+   */
+  async listArticles({
+    sort = 'published', order = 'desc', from = null, to = null, sources = [], tags = [],
+    ingestQuery = null, adapters = [], after = null, limit = 20
+  } = {}) {
+    try {
+      const bq = this.initClient();
+      const time = `TIMESTAMP_TRUNC(${sort === 'ingested' ? 'IFNULL(ingested_at, published_at)' : 'published_at'}, MILLISECOND)`;
+      const desc = order !== 'asc';
+
+      const sql = `
+        SELECT ${STORED_ARTICLE_COLUMNS}
+        FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
+        WHERE TRUE
+          ${from ? `AND ${time} >= TIMESTAMP(@from)` : ''}
+          ${to ? `AND ${time} <= TIMESTAMP(@to)` : ''}
+          ${sources.length ? 'AND LOWER(source) IN UNNEST(@sources)' : ''}
+          ${tags.length ? 'AND EXISTS (SELECT 1 FROM UNNEST(tags) AS tag WHERE LOWER(tag) IN UNNEST(@tags))' : ''}
+          ${ingestQuery ? 'AND LOWER(ingest_query) = LOWER(@ingestQuery)' : ''}
+          ${adapters.length ? 'AND LOWER(ingest_adapter) IN UNNEST(@adapters)' : ''}
+          ${after ? `AND (${time} ${desc ? '<' : '>'} TIMESTAMP(@afterValue) OR (${time} = TIMESTAMP(@afterValue) AND id > @afterId))` : ''}
+        ORDER BY ${time} ${desc ? 'DESC' : 'ASC'}, id
+        LIMIT @limit
+      `;
+
+      const [job] = await bq.createQueryJob({
+        query: sql,
+        params: {
+          limit,
+          ...(from ? { from } : {}),
+          ...(to ? { to } : {}),
+          ...(sources.length ? { sources: sources.map(s => s.toLowerCase()) } : {}),
+          ...(tags.length ? { tags } : {}),
+          ...(ingestQuery ? { ingestQuery } : {}),
+          ...(adapters.length ? { adapters: adapters.map(a => a.toLowerCase()) } : {}),
+          ...(after ? { afterValue: after.value, afterId: after.id } : {})
+        },
+        types: { limit: 'INT64' }
+      });
+      const [rows] = await job.getQueryResults();
+      return rows.map(normalizeStoredArticleRow);
+    } catch (error) {
+      console.error('Error listing articles:', error);
+      throw error;
+    }
+  }
+
+  // One article with its ingest metadata, or null
+  async getArticle(id) {
+    try {
+      const bq = this.initClient();
+      const sql = `
+        SELECT ${STORED_ARTICLE_COLUMNS}
+        FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
+        WHERE id = @id
+        LIMIT 1
+      `;
+
+      const [job] = await bq.createQueryJob({ query: sql, params: { id }, types: { id: 'STRING' } });
+      const [rows] = await job.getQueryResults();
+      return rows.length ? normalizeStoredArticleRow(rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting article:', error);
+      throw error;
+    }
+  }
+
+  // Returns true when the article existed
+  async deleteArticle(id) {
+    try {
+      const bq = this.initClient();
+      const sql = `DELETE FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\` WHERE id = @id`;
+
+      const [job] = await bq.createQueryJob({ query: sql, params: { id }, types: { id: 'STRING' } });
+      await job.getQueryResults();
+      const [metadata] = await job.getMetadata();
+      return Number(metadata?.statistics?.query?.dmlStats?.deletedRowCount || 0) > 0;
+    } catch (error) {
+      console.error('Error deleting article:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ranked article search: keyword score = share of patterns found (title hit 2,
+   * body/content hit 1), semantic score = cosine similarity to `vector`,
+   * score = weighted sum. Keyset pagination on (score DESC, id) via `after`.
+   */
+  async searchArticles({
+    patterns = [], vector = null, model = null, keywordWeight = 1, semanticWeight = 0, minSimilarity = 0,
+    from = null, to = null, sources = [], tags = [], textPattern = null, after = null, limit = 20
+  } = {}) {
+    try {
+      const bq = this.initClient();
+      const hasPatterns = patterns.length > 0;
+      const hasVector = Array.isArray(vector) && vector.length > 0;
+
+      const sql = `
+        WITH scored AS (
+          SELECT ${ARTICLE_COLUMNS},
+            ${hasPatterns ? `(
+              SELECT SUM(IF(REGEXP_CONTAINS(LOWER(title), p), 2, 0)
+                + IF(REGEXP_CONTAINS(LOWER(CONCAT(IFNULL(body, ''), ' ', IFNULL(content, ''))), p), 1, 0))
+              FROM UNNEST(@patterns) AS p
+            ) / (3 * ARRAY_LENGTH(@patterns))` : '0'} AS keyword_score,
+            ${hasVector ? `IF(embedding_model = @model AND ARRAY_LENGTH(embedding) = ARRAY_LENGTH(@vector),
+              1 - ML.DISTANCE(embedding, @vector, 'COSINE'), NULL)` : 'NULL'} AS semantic_score
+          FROM \`${PROJECT_ID}.${DATASET}.${NEWS_TABLE}\`
+          WHERE TRUE
+            ${from ? 'AND published_at >= TIMESTAMP(@from)' : ''}
+            ${to ? 'AND published_at <= TIMESTAMP(@to)' : ''}
+            ${sources.length ? 'AND LOWER(source) IN UNNEST(@sources)' : ''}
+            ${tags.length ? 'AND EXISTS (SELECT 1 FROM UNNEST(tags) AS tag WHERE LOWER(tag) IN UNNEST(@tags))' : ''}
+            ${textPattern ? "AND REGEXP_CONTAINS(LOWER(CONCAT(title, ' ', IFNULL(body, ''), ' ', ARRAY_TO_STRING(tags, ' '))), @textPattern)" : ''}
+        ),
+        ranked AS (
+          SELECT * EXCEPT (keyword_score, semantic_score),
+            ROUND(keyword_score, 4) AS keywordScore,
+            ROUND(IFNULL(semantic_score, 0), 4) AS semanticScore,
+            ROUND(@keywordWeight * keyword_score + @semanticWeight * IFNULL(semantic_score, 0), 4) AS score
+          FROM scored
+          WHERE (@keywordWeight > 0 AND keyword_score > 0)
+            OR (@semanticWeight > 0 AND semantic_score >= @minSimilarity)
+        )
+        SELECT *
+        FROM ranked
+        ${after ? 'WHERE score < @afterScore OR (score = @afterScore AND id > @afterId)' : ''}
+        ORDER BY score DESC, id
+        LIMIT @limit
+      `;
+
+      const params = {
+        keywordWeight, semanticWeight, minSimilarity, limit,
+        ...(hasPatterns ? { patterns } : {}),
+        ...(hasVector ? { vector, model } : {}),
+        ...(from ? { from } : {}),
+        ...(to ? { to } : {}),
+        ...(sources.length ? { sources: sources.map(s => s.toLowerCase()) } : {}),
+        ...(tags.length ? { tags } : {}),
+        ...(textPattern ? { textPattern } : {}),
+        ...(after ? { afterScore: after.score, afterId: after.id } : {})
+      };
+      const [job] = await bq.createQueryJob({
+        query: sql,
+        params,
+        types: {
+          keywordWeight: 'FLOAT64', semanticWeight: 'FLOAT64', minSimilarity: 'FLOAT64', limit: 'INT64',
+          ...(hasPatterns ? { patterns: ['STRING'] } : {}),
+          ...(hasVector ? { vector: ['FLOAT64'], model: 'STRING' } : {}),
+          ...(after ? { afterScore: 'FLOAT64', afterId: 'STRING' } : {})
+        }
+      });
+      const [rows] = await job.getQueryResults();
+      return rows.map(normalizeArticleRow);
+    } catch (error) {
+      console.error('Error searching articles:', error);
+      throw error;
+    }
+  }
+
   // Top sources in the period
   async queryTopSources(daysPast = 7, limit = 10) {
     try {
@@ -280,7 +732,7 @@ class BigQueryClient {
 
       const [job] = await bq.createQueryJob({ query: sql, params: { daysPast }, types: { daysPast: 'INT64' } });
       const [rows] = await job.getQueryResults();
-      return rows;
+      return rows.map(row => ({ day: unwrapValue(row.day), count: row.count }));
     } catch (error) {
       console.error('Error querying volume by day:', error);
       throw error;
@@ -288,4 +740,33 @@ class BigQueryClient {
   }
 }
 
-export default new BigQueryClient();
+// BigQuery wraps TIMESTAMP/DATE columns in { value } objects; unwrap them so
+// every storage backend returns plain ISO strings.
+function unwrapValue(field) {
+  return field && typeof field === 'object' && 'value' in field ? field.value : field;
+}
+
+function normalizeArticleRow(row) {
+  const publishedAt = unwrapValue(row.published_at);
+  return {
+    ...row,
+    published_at: publishedAt ? new Date(publishedAt).toISOString() : null,
+    url: row.url ?? null,
+    author: row.author ?? null,
+    image_url: row.image_url ?? null,
+    content: row.content ?? null
+  };
+}
+
+function normalizeStoredArticleRow(row) {
+  const ingestedAt = unwrapValue(row.ingested_at);
+  return {
+    ...normalizeArticleRow(row),
+    ingested_at: ingestedAt ? new Date(ingestedAt).toISOString() : null,
+    ingest_query: row.ingest_query ?? null,
+    ingest_adapter: row.ingest_adapter ?? null,
+    embedding_model: row.embedding_model ?? null
+  };
+}
+
+export default BigQueryClient;
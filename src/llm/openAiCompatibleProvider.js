@@ -0,0 +1,174 @@
+import axios from 'axios';
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+const API_KEY = process.env.OPENAI_API_KEY || '';
+const GEN_MODEL = process.env.OPENAI_GEN_MODEL || 'llama3.1';
+const EMBED_MODEL = process.env.OPENAI_EMBED_MODEL || 'nomic-embed-text';
+const TIMEOUT_MS = Number(process.env.OPENAI_TIMEOUT_MS || 120000);
+
+// Map OpenAI finish reasons onto the Vertex vocabulary the routes already check
+const FINISH_REASONS = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY'
+};
+
+/**
+ * Provider for any server speaking the OpenAI chat/embeddings HTTP API
+ * (OpenAI itself, a local Ollama, llama.cpp server, vLLM, LM Studio...).
+ */
+class OpenAiCompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.model = GEN_MODEL;
+    this.embedModel = EMBED_MODEL;
+  }
+
+  async generateContent(prompt, options = {}) {
+    try {
+      const response = await axios.post(`${BASE_URL}/chat/completions`, this.buildBody(prompt, options), {
+        headers: this.getHeaders(),
+        timeout: TIMEOUT_MS,
+        signal: options.signal
+      });
+
+      return this.parseResponse(response.data);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error('Error generating content:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Streaming variant of generateContent: reads the server-sent chunks of
+   * /chat/completions and calls onToken(text) for each content delta.
+   * Aborting `options.signal` cancels the HTTP request.
+   */
+  async generateContentStream(prompt, options = {}, onToken = () => {}) {
+    try {
+      const body = { ...this.buildBody(prompt, options), stream: true };
+      const response = await axios.post(`${BASE_URL}/chat/completions`, body, {
+        headers: this.getHeaders(),
+        timeout: TIMEOUT_MS,
+        responseType: 'stream',
+        signal: options.signal
+      });
+
+      let text = '';
+      let finishReason = null;
+      let buffer = '';
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+          const choice = JSON.parse(data)?.choices?.[0];
+          const delta = choice?.delta?.content || '';
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+        }
+      }
+
+      return {
+        text: text.trim(),
+        finishReason: FINISH_REASONS[finishReason] || String(finishReason || 'UNKNOWN').toUpperCase(),
+        safetyRatings: [],
+        raw: { streamed: true }
+      };
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error('Error streaming content:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
+  buildBody(prompt, options) {
+    return {
+      model: GEN_MODEL,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP ?? 0.8,
+      ...(options.maxTokens !== undefined ? { max_tokens: options.maxTokens } : {}),
+      ...(options.responseMimeType === 'application/json' ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  parseResponse(responseData) {
+    const choice = responseData?.choices?.[0];
+    if (!choice) {
+      return {
+        text: JSON.stringify(responseData),
+        finishReason: 'UNKNOWN',
+        safetyRatings: [],
+        raw: responseData
+      };
+    }
+    return {
+      text: (choice.message?.content || choice.text || '').trim(),
+      finishReason: FINISH_REASONS[choice.finish_reason] || String(choice.finish_reason || 'UNKNOWN').toUpperCase(),
+      safetyRatings: [],
+      raw: responseData
+    };
+  }
+
+  async createEmbedding(text) {
+    try {
+      const response = await axios.post(`${BASE_URL}/embeddings`, { model: EMBED_MODEL, input: text }, {
+        headers: this.getHeaders(),
+        timeout: TIMEOUT_MS
+      });
+      const values = response.data?.data?.[0]?.embedding || [];
+      return { values, model: EMBED_MODEL, raw: response.data };
+    } catch (error) {
+      console.error('Error creating embedding:', error.message);
+      throw this.handleError(error);
+    }
+  }
+
+  async checkHealth() {
+    try {
+      await axios.get(`${BASE_URL}/models`, { headers: this.getHeaders(), timeout: 5000 });
+      return { provider: this.name, model: this.model, baseUrl: BASE_URL };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {})
+    };
+  }
+
+  handleError(error) {
+    if (error.response) {
+      const status = error.response.status;
+      const message = error.response.data?.error?.message || error.message;
+
+      if (status === 401) {
+        return new Error('Authentication failed. Check OPENAI_API_KEY.');
+      } else if (status === 404) {
+        return new Error(`Model or endpoint not found at ${BASE_URL}. Check OPENAI_GEN_MODEL / OPENAI_EMBED_MODEL.`);
+      } else if (status === 429) {
+        return new Error('Rate limit exceeded. Please try again later.');
+      }
+
+      return new Error(`OpenAI-compatible API error (${status}): ${message}`);
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return new Error(`Cannot reach LLM server at ${BASE_URL}. Is it running?`);
+    } else if (error.code === 'ECONNABORTED') {
+      return new Error('Request timeout. The LLM server took too long to respond.');
+    }
+
+    return error;
+  }
+}
+
+export default OpenAiCompatibleProvider;
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || './fixtures/llm';
+const REPLAY_MODE = (process.env.LLM_REPLAY_MODE || 'replay').toLowerCase(); // 'replay' | 'record'
+const ON_MISS = (process.env.LLM_REPLAY_ON_MISS || 'stub').toLowerCase(); // 'stub' | 'error'
+const EMBED_DIMENSIONS = Number(process.env.LLM_REPLAY_EMBED_DIMENSIONS || 256);
+
+/**
+ * Deterministic offline provider. Responses are looked up in
+ * `${LLM_FIXTURES_DIR}/<sha256(prompt)>.json` files shaped as
+ * { prompt, text, finishReason }. In record mode, misses are forwarded to an
+ * upstream provider and the response is written back as a new fixture.
+ */
+class ReplayProvider {
+  /**
+   * @param {Object} [deps]
+   * @param {Function} [deps.createUpstream] - builds the provider used to fill misses in record mode
+   */
+  constructor({ createUpstream = null } = {}) {
+    this.name = 'replay';
+    this.model = `replay:${REPLAY_MODE}`;
+    this.embedModel = 'replay-hash';
+    this.createUpstream = createUpstream;
+    this.upstream = null;
+  }
+
+  getUpstream() {
+    if (!this.upstream && this.createUpstream) {
+      this.upstream = this.createUpstream();
+    }
+    return this.upstream;
+  }
+
+  hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(String(prompt)).digest('hex');
+  }
+
+  fixturePath(hash) {
+    return path.join(FIXTURES_DIR, `${hash}.json`);
+  }
+
+  async generateContent(prompt, options = {}) {
+    const hash = this.hashPrompt(prompt);
+    const fixture = await this.readFixture(hash);
+    if (fixture) {
+      return {
+        text: fixture.text || '',
+        finishReason: fixture.finishReason || 'STOP',
+        safetyRatings: [],
+        raw: { fixture: hash }
+      };
+    }
+
+    const upstream = REPLAY_MODE === 'record' ? this.getUpstream() : null;
+    if (upstream) {
+      const result = await upstream.generateContent(prompt, options);
+      await this.writeFixture(hash, { prompt, text: result.text, finishReason: result.finishReason });
+      return result;
+    }
+
+    if (ON_MISS === 'error') {
+      throw new Error(`No LLM fixture for prompt hash ${hash} in ${FIXTURES_DIR}`);
+    }
+
+    // Stub answers keep offline runs deterministic even without recordings
+    const text = options.responseMimeType === 'application/json'
+      ? '{}'
+      : `Offline response (no fixture recorded for prompt ${hash.slice(0, 12)}).`;
+    return { text, finishReason: 'STOP', safetyRatings: [], raw: { fixture: null, hash } };
+  }
+
+  // Replays the resolved response word by word so streaming routes behave offline too
+  async generateContentStream(prompt, options = {}, onToken = () => {}) {
+    const result = await this.generateContent(prompt, options);
+    for (const piece of result.text.match(/\S+\s*|\s+/g) || []) {
+      options.signal?.throwIfAborted();
+      onToken(piece);
+    }
+    return result;
+  }
+
+  // Pseudo-embedding derived from the text hash: stable across runs, not semantic
+  async createEmbedding(text) {
+    const values = [];
+    let block = crypto.createHash('sha256').update(String(text)).digest();
+    while (values.length < EMBED_DIMENSIONS) {
+      for (let i = 0; i + 1 < block.length && values.length < EMBED_DIMENSIONS; i += 2) {
+        values.push((block.readUInt16BE(i) / 0xffff) * 2 - 1);
+      }
+      block = crypto.createHash('sha256').update(block).digest();
+    }
+    return { values, model: this.embedModel, raw: null };
+  }
+
+  async checkHealth() {
+    return { provider: this.name, model: this.model, fixturesDir: FIXTURES_DIR };
+  }
+
+  async readFixture(hash) {
+    try {
+      const raw = await fs.readFile(this.fixturePath(hash), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Invalid LLM fixture ${hash}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async writeFixture(hash, fixture) {
+    await fs.mkdir(FIXTURES_DIR, { recursive: true });
+    await fs.writeFile(this.fixturePath(hash), JSON.stringify(fixture, null, 2));
+    console.log(`Recorded LLM fixture ${hash}`);
+  }
+}
+
+export default ReplayProvider;
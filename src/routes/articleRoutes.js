@@ -0,0 +1,50 @@
+import express from 'express';
+import articleService from '../services/articleService.js';
+import articleSearchService from '../services/articleSearchService.js';
+
+const router = express.Router();
+
+// Search stored articles: ?q=...&mode=keyword|semantic|hybrid plus from/to/source/tags/region filters
+router.get('/articles/search', async (req, res) => {
+  try {
+    const result = await articleSearchService.search(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Article search error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, ...(error.details ? { details: error.details } : {}) });
+  }
+});
+
+// Stored articles: ?sort=published|ingested&order=desc|asc plus from/to/source/tags/query/adapter filters and ?cursor=
+router.get('/articles', async (req, res) => {
+  try {
+    const result = await articleService.listArticles(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Article list error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/articles/:id', async (req, res) => {
+  try {
+    const article = await articleService.getArticle(req.params.id);
+    res.json({ success: true, article });
+  } catch (error) {
+    console.error('Article fetch error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a bad or irrelevant article (cached trend/overview results are invalidated)
+router.delete('/articles/:id', async (req, res) => {
+  try {
+    const result = await articleService.deleteArticle(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Article delete error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
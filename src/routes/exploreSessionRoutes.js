@@ -0,0 +1,38 @@
+import express from 'express';
+import exploreSessionService from '../services/exploreSessionService.js';
+
+const router = express.Router();
+
+// Explore conversations, most recent first: ?profileId=...&limit=20
+router.get('/explore/sessions', async (req, res) => {
+  try {
+    const result = await exploreSessionService.listSessions(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Explore session list error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Full session: messages, summary of older turns and when its context was computed
+router.get('/explore/sessions/:id', async (req, res) => {
+  try {
+    const { context, ...session } = await exploreSessionService.getSession(req.params.id);
+    res.json({ success: true, session: { ...session, contextComputedAt: context?.computedAt || null } });
+  } catch (error) {
+    console.error('Explore session fetch error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/explore/sessions/:id', async (req, res) => {
+  try {
+    const result = await exploreSessionService.deleteSession(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Explore session delete error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -2,11 +2,22 @@ import express from 'express';
 import careerInsightsService from '../services/careerInsightsService.js';
 import overviewService from '../services/overviewService.js';
 import synthesisService from '../services/synthesisService.js';
+import trendsService from '../services/trendsService.js';
+import roadmapService from '../services/roadmapService.js';
+import profileService from '../services/profileService.js';
+import skillGapService from '../services/skillGapService.js';
+import exploreService from '../services/exploreService.js';
+import exploreSessionService from '../services/exploreSessionService.js';
+import retrievalService from '../services/retrievalService.js';
 import geminiClient from '../vertexclient/geminiClient.js';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import sse from '../utils/sse.js';
+import cacheClient from '../cache/cacheClient.js';
+import sourceRegistry from '../sources/sourceRegistry.js';
 
 const router = express.Router();
 
-// Setup endpoint - Initialize BigQuery dataset and table
+// Setup endpoint - Initialize storage (BigQuery dataset and table, or local store)
 router.post('/setup', async (req, res) => {
   try {
     const result = await careerInsightsService.setupDatabase();
@@ -25,6 +36,7 @@ router.post('/ingest/news', async (req, res) => {
   try {
     // Accept from body or query string for convenience
     const { pageSize, domains, sources, includeCommonTagKeywords, strict, includeTrends, trendsTimeRange, trendsGeo } = req.body || {};
+    const adapters = req.body?.adapters || req.query.adapters;
     const query = (req.body?.query || req.query.query || req.query.q || '').trim();
 
     if (!query) {
@@ -35,6 +47,7 @@ router.post('/ingest/news', async (req, res) => {
     }
 
     const result = await careerInsightsService.ingestNews(query, {
+      adapters,
       pageSize,
       domains,
       sources,
@@ -48,54 +61,64 @@ router.post('/ingest/news', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Ingestion error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Generate career insights endpoint
-router.get('/insights', async (req, res) => {
+// News source adapters that POST /ingest/news can select with 'adapters'
+router.get('/ingest/adapters', (req, res) => {
+  const adapters = sourceRegistry.list();
+  res.json({ success: true, adapters, count: adapters.length, defaults: sourceRegistry.defaultNames() });
+});
+
+// Embed stored articles that have no embedding yet (backfill after upgrading or switching models)
+router.post('/ingest/embeddings', async (req, res) => {
   try {
-    const userProfile = {
-      skills: req.query.skills || '',
-      role: req.query.role || 'software engineer',
-      experience: req.query.experience || 'mid-level',
-      interests: req.query.interests || '',
-      location: req.query.location || ''
-    };
+    const days = Number(req.body?.days || req.query.days) || undefined;
+    const limit = Number(req.body?.limit || req.query.limit) || undefined;
+    const result = await retrievalService.embedPendingArticles({ daysPast: days, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Embedding backfill error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Generate career insights endpoint (inline profile fields or ?profileId=); SSE with ?stream=true
+router.get('/insights', cacheClient.middleware('insights'), async (req, res) => {
+  try {
+    const userProfile = await profileService.resolveProfile(req.query, { defaults: true });
 
+    if (sse.wantsStream(req)) {
+      return sse.respond(req, res, hooks => careerInsightsService.generateCareerInsights(userProfile, hooks));
+    }
     const result = await careerInsightsService.generateCareerInsights(userProfile);
     res.json(result);
   } catch (error) {
     console.error('Insights error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// POST endpoint to accept long natural-language profile text
-router.post('/insights', async (req, res) => {
+// POST endpoint to accept long natural-language profile text (or a saved profileId)
+router.post('/insights', cacheClient.middleware('insights'), async (req, res) => {
   try {
-    const { profileFreeText = '', role = '', experience = '', skills = '', interests = '', location = '' } = req.body || {};
-
-    const userProfile = {
-      profileFreeText,
-      skills,
-      role,
-      experience,
-      interests,
-      location
-    };
+    const userProfile = await profileService.resolveProfile(req.body || {}, { defaults: true });
 
+    if (sse.wantsStream(req)) {
+      return sse.respond(req, res, hooks => careerInsightsService.generateCareerInsights(userProfile, hooks));
+    }
     const result = await careerInsightsService.generateCareerInsights(userProfile);
     res.json(result);
   } catch (error) {
     console.error('Insights (POST) error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -116,7 +139,7 @@ router.get('/status', async (req, res) => {
   }
 });
 
-// Quick test endpoint for news fetching (without BigQuery)
+// Quick test endpoint for news fetching (without storage)
 router.post('/test/news', async (req, res) => {
   try {
     const { query = 'artificial intelligence career' } = req.body;
@@ -140,68 +163,21 @@ router.post('/test/news', async (req, res) => {
 });
 
 // Get trending topics
-router.get('/trends', async (req, res) => {
+// format=card (default): typed cards { skill, mentions, growth, demand, salary, narrative }
+// format=raw: computed numbers only; format=text: legacy 6-line text cards
+router.get('/trends', cacheClient.middleware('trends'), async (req, res) => {
   try {
     const days = Number.parseInt(req.query.days) || 7;
-    const format = (req.query.format || 'card').toLowerCase(); // 'card' | 'raw'
+    const format = (req.query.format || 'card').toLowerCase(); // 'card' | 'raw' | 'text'
     const limitParam = Number.parseInt(req.query.limit);
     const limit = Number.isFinite(limitParam) && limitParam > 0 ? Math.min(limitParam, 20) : 10;
 
-    // Import bigqueryClient directly
-    const { default: bigqueryClient } = await import('../gcpclient/bigqueryClient.js');
-    const trends = await bigqueryClient.queryTopTrends(days);
-    const top = Array.isArray(trends) ? trends.slice(0, limit) : [];
-
-    // Raw format for backward compatibility
-    if (format === 'raw') {
-      return res.json({
-        success: true,
-        trends: top,
-        period: `${days} days`,
-        count: top.length
-      });
-    }
-
-    // If no data, return empty cards list gracefully
-    if (!top.length) {
-      return res.json({ success: true, cards: [], period: `${days} days`, count: 0 });
+    if (!['card', 'raw', 'text'].includes(format)) {
+      return res.status(400).json({ success: false, error: "format must be one of 'card', 'raw' or 'text'" });
     }
 
-    // Build a concise prompt asking Gemini to format cards exactly
-    const skillsList = top
-      .map((r, i) => `${i + 1}. ${r.skill} — mentions: ${r.mentions}`)
-      .join('\n');
-
-    const prompt = `You are a concise career market analyst. Based on the following skills and their news mention counts from the last ${days} days, output compact "cards" for each skill in EXACTLY this 6-line block format:
-
-<Name>
-<+GrowthPercent%>
-Demand:
-<High|Medium|Low>
-Avg. Salary:
-<$###k+ or $###k-$###k>
-
-Strict formatting rules:
-- Output one block per skill, in the same order as provided, separated by a single blank line.
-- Do NOT include numbering, bullets, commentary, headings, or extra text.
-- "GrowthPercent" is your best short-term estimate vs typical baseline; if uncertain, keep between +0% and +5%.
-- "Avg. Salary" is the Indian mid-level average using Rupee (₹) and k shorthand (e.g., ₹110k+).
-- Keep it succinct and realistic. No disclaimers.
-
-Skills and mentions (higher suggests higher demand):
-${skillsList}`;
-
-    // Ask Gemini to produce the cards
-    const gen = await geminiClient.generateContent(prompt, { responseMimeType: 'text/plain' });
-    const text = (gen && gen.text ? String(gen.text) : '').trim();
-
-    // Split output into individual cards (blocks separated by blank line)
-    const cards = text
-      .split(/\n\s*\n/)
-      .map(s => s.trim())
-      .filter(Boolean);
-
-    return res.json({ success: true, cards, period: `${days} days`, count: cards.length });
+    const result = await trendsService.getTrends({ days, limit, format });
+    res.json(result);
   } catch (error) {
     console.error('Trends error:', error);
     res.status(500).json({
@@ -211,15 +187,69 @@ ${skillsList}`;
   }
 });
 
+// Inspect the skill taxonomy used for tagging and trend aggregation
+// Optional ?term=ml resolves a term to its canonical skill; ?category=Cloud filters skills
+router.get('/skills/taxonomy', (req, res) => {
+  try {
+    const taxonomy = skillTaxonomy.describe();
+    const category = (req.query.category || '').trim();
+    const skills = category
+      ? taxonomy.skills.filter(s => s.category.toLowerCase() === category.toLowerCase())
+      : taxonomy.skills;
+
+    const term = (req.query.term || req.query.q || '').trim();
+    const resolved = term
+      ? { term, canonical: skillTaxonomy.canonicalize(term), skill: skillTaxonomy.lookup(term) }
+      : undefined;
+
+    res.json({ success: true, ...taxonomy, skills, count: skills.length, ...(resolved ? { resolved } : {}) });
+  } catch (error) {
+    console.error('Taxonomy error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Skill gap: in-demand skills missing from the profile (inline skills/targetRole or ?profileId=)
+router.get('/skills/gap', cacheClient.middleware('skills-gap'), async (req, res) => {
+  try {
+    const profile = await profileService.resolveProfile(req.query);
+    if (profile.skills.length === 0) {
+      return res.status(400).json({ success: false, error: 'Provide skills (comma-separated) or a profileId with skills' });
+    }
+
+    const days = Number.parseInt(req.query.days) || 30;
+    const limitParam = Number.parseInt(req.query.limit);
+    const limit = Number.isFinite(limitParam) && limitParam > 0 ? Math.min(limitParam, 25) : 10;
+    const evidenceParam = Number.parseInt(req.query.evidence);
+    const evidence = Number.isFinite(evidenceParam) && evidenceParam >= 0 ? Math.min(evidenceParam, 10) : 3;
+
+    const result = await skillGapService.getSkillGap({
+      skills: profile.skills,
+      targetRole: profile.targetRole || profile.role,
+      days,
+      limit,
+      evidence,
+      commentary: req.query.commentary === 'true'
+    });
+    res.json({ ...result, profileId: profile.profileId });
+  } catch (error) {
+    console.error('Skill gap error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
 
 // Synthesize two text inputs (real-time + government) into a combined report
-router.post('/synthesis', async (req, res) => {
+router.post('/synthesis', cacheClient.middleware('synthesis'), async (req, res) => {
   try {
     const { realTimeText = '', governmentText = '', role = '', question = '' } = req.body || {};
     if (!realTimeText && !governmentText) {
       return res.status(400).json({ success: false, error: 'Provide at least one of realTimeText or governmentText' });
     }
+    if (sse.wantsStream(req)) {
+      return sse.respond(req, res, hooks => synthesisService.synthesize({ realTimeText, governmentText, role, question }, hooks));
+    }
     const result = await synthesisService.synthesize({ realTimeText, governmentText, role, question });
     res.json(result);
   } catch (error) {
@@ -254,125 +284,64 @@ router.post('/roadmap', async (req, res) => {
     const {
       roadmapName = '', // e.g., "Full-Stack Developer"
       title,            // alias
-      role,             // fallback alias
-      skills = '',      // comma-separated string or array
-      currentExperience = '',
       targetDuration = '' // optional (e.g., "6 months")
     } = req.body || {};
+    // skills / currentExperience / role come inline or from a saved profileId
+    const profile = await profileService.resolveProfile(req.body || {});
 
-    const requestedTitle = (roadmapName || title || role || '').trim();
+    const requestedTitle = String(roadmapName || title || profile.targetRole || profile.role || '').trim();
     if (!requestedTitle) {
       return res.status(400).json({ success: false, error: 'Provide roadmapName (or title/role) in the request body.' });
     }
 
-    let userSkills = [];
-    if (Array.isArray(skills)) {
-      userSkills = skills.map(s => String(s).trim()).filter(Boolean);
-    } else if (typeof skills === 'string') {
-      userSkills = skills.split(',').map(s => s.trim()).filter(Boolean);
-    }
-
-    // Build strict JSON-output prompt
-    const prompt = `You are an expert career curriculum architect. Build a structured, realistic upskilling roadmap.
-Target Role / Roadmap: ${requestedTitle}
-User Skills (existing): ${userSkills.length ? userSkills.join(', ') : 'None provided'}
-User Experience: ${currentExperience || 'Not specified'}
-Preferred Total Duration (optional hint): ${targetDuration || 'Not specified'}
-
-OUTPUT REQUIREMENTS:
-Return ONLY valid minified JSON (no markdown, no commentary before/after). Shape:
-{
-  "roadmapData": {
-    "title": string,
-    "totalDuration": string, // e.g. "12 months"
-    "completionRate": number, // 0-100 integer
-    "phases": [
-      {
-        "id": number,
-        "title": string,
-        "duration": string, // e.g. "3 months"
-        "status": "completed" | "in-progress" | "pending",
-        "progress": number, // 0-100
-        "milestones": [
-          {
-            "id": number,
-            "title": string,
-            "type": "course" | "project" | "certification" | "reading" | "practice",
-            "duration": string, // e.g. "3 weeks"
-            "status": "completed" | "in-progress" | "pending",
-            "provider": string
-          }
-        ]
-      }
-    ]
-  },
-  "certifications": [
-    {
-      "name": string,
-      "provider": string,
-      "difficulty": "Beginner" | "Intermediate" | "Advanced",
-      "duration": string,
-      "value": "High" | "Medium" | "Low",
-      "priority": "Recommended" | "Optional" | "Stretch"
-    }
-  ]
-}
-
-LOGIC & RULES:
-- 4-6 phases total. Order them logically (fundamentals -> specialization -> integration -> professional polish).
-- A phase or milestone is 'completed' only if its core skills are already in user skills. Partially covered => 'in-progress'. Others 'pending'.
-- completionRate (%) should reflect weighted progress over all milestones.
-- Milestone durations: use weeks for granular items; phase duration sum should roughly match totalDuration.
-- If no targetDuration provided, choose a realistic total (e.g., 6, 9, or 12 months) based on breadth.
-- Ensure IDs are unique and sequential across milestones (phase ordering preserved) but milestone IDs must not reset inside a phase in a way that conflicts.
-- Tailor content to ${requestedTitle}. Avoid generic filler.
-- Include at least 1 project milestone each phase (except possibly a pure certification phase).
-- Keep provider names credible (Official Docs, freeCodeCamp, Coursera, AWS, etc.).
-- Output VALID JSON ONLY.`;
-
-    let aiRaw;
+    let result;
     try {
-      aiRaw = await geminiClient.generateContent(prompt, {
-        responseMimeType: 'application/json',
-        temperature: 0.4,
-        maxTokens: 4000
+      result = await roadmapService.createRoadmap({
+        title: requestedTitle,
+        skills: profile.skills,
+        currentExperience: profile.experience,
+        targetDuration,
+        profileId: profile.profileId
       });
     } catch (modelErr) {
       console.error('Roadmap model call failed:', modelErr);
       return res.status(500).json({ success: false, error: 'Model generation failed', details: modelErr.message });
     }
 
-    const rawText = (aiRaw && aiRaw.text ? aiRaw.text.trim() : '');
-    if (!rawText) {
-      return res.status(500).json({ success: false, error: 'Empty response from model' });
-    }
-
-    // Attempt robust JSON parse (strip leading/trailing non-json if any)
-    let parsed;
-    try {
-      const firstBrace = rawText.indexOf('{');
-      const lastBrace = rawText.lastIndexOf('}');
-      const candidate = firstBrace >= 0 && lastBrace > firstBrace ? rawText.slice(firstBrace, lastBrace + 1) : rawText;
-      parsed = JSON.parse(candidate);
-    } catch (parseErr) {
-      console.error('Roadmap JSON parse failed. Raw text:');
-      return res.status(502).json({ success: false, error: 'Failed to parse model JSON', raw: rawText });
+    if (!result.valid) {
+      console.error('Roadmap output failed validation:', result.errors.slice(0, 5).join('; '));
+      return res.status(502).json({
+        success: false,
+        error: 'Model output did not match the roadmap schema',
+        errors: result.errors,
+        attempts: result.attempts,
+        raw: result.raw
+      });
     }
 
-    return res.json({ success: true, roadmap: parsed.roadmapData, certifications: parsed.certifications || [], finishReason: aiRaw.finishReason });
+    return res.json({
+      success: true,
+      roadmapId: result.roadmapId,
+      roadmap: result.roadmap,
+      certifications: result.certifications,
+      finishReason: result.finishReason,
+      attempts: result.attempts
+    });
   } catch (error) {
     console.error('Roadmap generation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 // Overview endpoint: aggregated nested JSON for frontend dashboards
-router.get('/overview', async (req, res) => {
+router.get('/overview', cacheClient.middleware('overview'), async (req, res) => {
   try {
+    // role / skills / interests come inline or from a saved profileId
+    const profile = await profileService.resolveProfile(req.query);
     const prefs = {
-      role: req.query.role || '',
-      skills: req.query.skills || '', // comma-separated
-      interests: req.query.interests || '', // comma-separated
+      role: profile.role,
+      skills: profile.skills,
+      interests: profile.interests,
       days: req.query.days || 7,
       limit: req.query.limit || 10,
       // user-provided queries (comma-separated or freeform)
@@ -385,152 +354,133 @@ router.get('/overview', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Overview error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// Explore endpoint: combines internal career insights + external geo/policy Q&A then synthesizes
-router.post('/explore', async (req, res) => {
+// Explore endpoint: combines internal career insights + stored policies (and the optional geo API) then synthesizes.
+// Each call is a turn in a session: send the returned sessionId to ask follow-ups, `refresh: true` to recompute
+// the career insights and geo answer, or `session: false` for a one-off answer that is not stored.
+router.post('/explore', cacheClient.middleware('explore'), async (req, res) => {
   const started = Date.now();
   try {
+    const body = req.body || {};
     const {
       question = 'What are the most relevant insights for career planning today?',
-      profile = {}, // { role, skills, experience, interests, location, profileFreeText }
-      role, skills, experience, interests, location, profileFreeText,
-      includeTrending = true
-    } = req.body || {};
-
-    // Merge legacy top-level fields into profile object if provided
-    const mergedProfile = {
-      profileFreeText: profile.profileFreeText || profileFreeText || '',
-      role: profile.role || role || 'professional',
-      skills: profile.skills || skills || '',
-      experience: profile.experience || experience || 'mid-level',
-      interests: profile.interests || interests || '',
-      location: profile.location || location || ''
-    };
-
-    // 1) Generate internal career insights (reusing existing service)
-    let careerData;
-    try {
-      careerData = await careerInsightsService.generateCareerInsights(mergedProfile);
-    } catch (ciErr) {
-      console.warn('Career insights generation failed inside /explore:', ciErr.message);
-      careerData = { success: false, error: ciErr.message };
-    }
-
-    // 2) Call external GEO/POLICY API /query endpoint (longer / configurable timeout)
-    const geoBase = (process.env.GEO_DATA_API_URL || '').replace(/\/$/, '');
-    const geoTimeoutMs = Number(process.env.GEO_QUERY_TIMEOUT_MS || 45000); // extend default to 45s
-    let geoPayload = null;
-    let geoError = null;
-    if (!geoBase) {
-      geoError = 'GEO_DATA_API_URL not configured';
-    } else {
-      try {
-        let controller; let timeoutId;
-        if (geoTimeoutMs > 0) {
-          controller = new AbortController();
-          timeoutId = setTimeout(() => controller.abort(), geoTimeoutMs);
-        }
-        const resp = await fetch(`${geoBase}/query`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ question }),
-          signal: controller ? controller.signal : undefined
+      includeTrending = true,
+      sessionId,
+      refresh = false
+    } = body;
+    const stateless = body.session === false && !sessionId;
+
+    // A follow-up keeps the session's profile unless the request names one.
+    // profileId, a nested profile object and legacy top-level fields all resolve to one profile
+    let session = sessionId ? await exploreSessionService.getSession(String(sessionId)) : null;
+    const mergedProfile = session && !exploreSessionService.hasProfileInput(body)
+      ? session.profile
+      : await profileService.resolveProfile(body, { defaults: true });
+
+    const run = async (hooks) => {
+      if (!session && !stateless) session = await exploreSessionService.createSession(mergedProfile, question);
+      const conversation = session
+        ? {
+            context: exploreSessionService.reusableContext(session, mergedProfile, { refresh: refresh === true || refresh === 'true' }),
+            history: await exploreSessionService.history(session),
+            priorQuestions: exploreSessionService.priorQuestions(session)
+          }
+        : {};
+      const result = await exploreService.explore({ question, profile: mergedProfile, includeTrending, ...conversation }, hooks);
+      if (session) {
+        session = await exploreSessionService.recordTurn(session, {
+          question,
+          answer: result.answer,
+          profile: mergedProfile,
+          sources: result.sources,
+          policies: result.policies,
+          context: result.context,
+          reused: result.reused
         });
-        if (timeoutId) clearTimeout(timeoutId);
-        const ct = resp.headers.get('content-type') || '';
-        const text = await resp.text();
-        if (!resp.ok) {
-          geoError = `Geo API ${resp.status}`;
-        }
-        try {
-          geoPayload = ct.includes('application/json') ? JSON.parse(text) : { raw: text };
-        } catch (pErr) {
-          geoPayload = { raw: text };
-        }
-      } catch (geoErrInner) {
-        if (geoErrInner.name === 'AbortError') {
-          geoError = `Geo API timeout after ${geoTimeoutMs}ms (set GEO_QUERY_TIMEOUT_MS to adjust or 0 for no timeout)`;
-        } else {
-          geoError = geoErrInner.message;
-        }
       }
-    }
-
-    const careerAdvice = careerData?.insights?.aiAdvice || 'No career insights available.';
-    const trending = includeTrending ? (careerData?.insights?.trending || []) : [];
-    const articleCount = careerData?.insights?.metadata?.articleCount || 0;
-
-    // 3) Consolidate with Gemini
-    const consolidationPrompt = `You are a Grwogle - a senior career adviser.
-
-INTENT CHECK (do this first):
-- If the QUESTION is a greeting or not a specific query (for example, fewer than ~6 words and no clear ask), return a very short plain-text guidance message and STOP. Keep it to 2-4 lines, like:
-  Hi! Ask a specific career or market question and I'll consolidate signals (news + geo/policy) into one clear answer.
-  Examples: What are the top risks and mitigations for AI adoption in India? Which 3 skills should a <role> focus on over the next 6 months and why?
-  You can also ask about how upcoming data protection rules affect hiring for <role> in India.
-
-Otherwise, produce ONE unified, cohesive plain-text answer that blends all available signals.
-
-QUESTION: ${question}
-
-CAREER INSIGHTS (market & skill guidance):
-${careerAdvice.substring(0, 6000)}
-
-GEO/POLICY RESPONSE RAW:
-${geoError ? '[Unavailable: ' + geoError + ']' : JSON.stringify(geoPayload).substring(0, 6000)}
-
-TOP TRENDING SKILLS:
-${trending.slice(0,10).map(t=>`${t.skill} (${t.mentions})`).join(', ') || 'None'}
-
-INSTRUCTIONS FOR THE UNIFIED ANSWER:
-- Return ONLY a single consolidated answer (no headings, no bullet lists, no numbered sections, no labels like 'Direct Answer:' etc.).
-- Weave together market signals, geo/policy context, risks, mitigations, and 5-8 concrete recommendations inline (short sentences separated by periods or semicolons are fine).
-- If geo/policy data is missing, acknowledge briefly once and continue with what is known.
-- Focus on specifics for India where relevant (regulations, data protection, workforce skill gaps) without overgeneralizing.
-- Mention the most relevant trending skills naturally (not as a list) where they reinforce recommendations.
-- Avoid filler, self-reference, disclaimers, markdown, bullets, or section titles.
-- Output should read like a concise expert briefing; use one or more paragraphs but keep it a single unified narrative.`;
-
-    let consolidated;
-    try {
-      const gen = await geminiClient.generateContent(consolidationPrompt, { temperature: 0.45 });
-      consolidated = gen?.text || '';
-    } catch (modelErr) {
-      return res.status(500).json({ success: false, error: 'Consolidation model failed', details: modelErr.message });
-    }
+      return buildExploreResponse(req, { question, profile: mergedProfile, started, result, session });
+    };
 
-    // Verbose mode: show metadata but suppress raw geo answer to avoid perceived "two answers" unless debug=true
-    if (req.query.verbose === 'true') {
-      const debug = req.query.debug === 'true' || req.query.debug === '1';
-      const geoMeta = debug
-        ? { success: !geoError, error: geoError || undefined, payload: geoPayload }
-        : { success: !geoError, error: geoError || undefined };
-      return res.json({
-        success: true,
-        question,
-        answer: consolidated,
-        career: { success: !!careerData?.success, articleCount, trendingCount: trending.length },
-        geo: geoMeta,
-        profile: mergedProfile,
-        generatedAt: new Date().toISOString(),
-        latencyMs: Date.now() - started,
-        mode: debug ? 'verbose+debug' : 'verbose'
-      });
+    if (sse.wantsStream(req)) {
+      return sse.respond(req, res, run);
     }
+    res.json(await run());
+  } catch (error) {
+    console.error('Explore error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, ...(error.details ? { details: error.details } : {}) });
+  }
+});
 
-    return res.json({
+// Verbose mode: show metadata but suppress the geo payload to avoid perceived "two answers" unless debug=true
+function buildExploreResponse(req, { question, profile, started, result, session = null }) {
+  const { answer, careerData, trending, articleCount, policies, policyError, geo, sources, citations, droppedCitations, retrievalError, tokenUsage, reused } = result;
+  // Policies the answer was grounded in, without the stored summaries
+  const policyRefs = policies.map(({ ref, id, title, region, status, effectiveDate, deadline, affectedRoles, url }) =>
+    ({ ref, id, title, region, status, effectiveDate, deadline, affectedRoles, url }));
+  // Session turn and which earlier results the answer reused
+  const sessionMeta = session
+    ? { turn: session.messages.filter(m => m.role === 'user').length, reused }
+    : null;
+  // Estimated tokens across the model calls of this turn (career insights only when computed, not reused),
+  // including the calls that summarized prompt sections
+  const calls = [tokenUsage.consolidation, tokenUsage.career].filter(Boolean);
+  const sum = field => calls.reduce((total, call) => total + call[field] + (call.summarization?.[field] || 0), 0);
+  const totals = {
+    promptTokens: sum('promptTokens'),
+    outputTokens: sum('outputTokens')
+  };
+  if (req.query.verbose === 'true') {
+    const debug = req.query.debug === 'true' || req.query.debug === '1';
+    const geoMeta = {
+      enabled: geo.status !== 'disabled',
+      adapter: geo.adapter,
+      circuit: geo.circuit,
+      status: geo.status,
+      success: geo.status === 'ok',
+      attempts: geo.attempts,
+      latencyMs: geo.latencyMs,
+      error: geo.status === 'disabled' ? undefined : geo.error || undefined,
+      ...(debug ? { payload: geo.payload, raw: geo.raw } : {})
+    };
+    return {
       success: true,
+      sessionId: session?.id || null,
       question,
-      answer: consolidated,
+      answer,
+      citations,
+      sources,
+      policies: policyRefs,
+      session: sessionMeta,
+      career: { success: !!careerData?.success, articleCount, trendingCount: trending.length },
+      policy: { success: !policyError, error: policyError || undefined, count: policies.length },
+      geo: geoMeta,
+      retrieval: { success: !retrievalError, error: retrievalError || undefined, count: sources.length },
+      // Refs the model cited that were not in the prompt; removed from the answer
+      droppedCitations,
+      tokenUsage: { ...totals, ...tokenUsage },
+      profile,
       generatedAt: new Date().toISOString(),
-      latencyMs: Date.now() - started
-    });
-  } catch (error) {
-    console.error('Explore error:', error);
-    res.status(500).json({ success: false, error: error.message });
+      latencyMs: Date.now() - started,
+      mode: debug ? 'verbose+debug' : 'verbose'
+    };
   }
-});
 
+  return {
+    success: true,
+    sessionId: session?.id || null,
+    question,
+    answer,
+    citations,
+    sources,
+    policies: policyRefs,
+    session: sessionMeta,
+    // Which geo adapter answered, and the circuit state it found
+    geo: { adapter: geo.adapter, circuit: geo.circuit, status: geo.status },
+    tokenUsage: totals,
+    generatedAt: new Date().toISOString(),
+    latencyMs: Date.now() - started
+  };
+}
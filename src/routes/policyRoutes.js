@@ -0,0 +1,58 @@
+import express from 'express';
+import policyService from '../services/policyService.js';
+import policyIngestService from '../services/policyIngestService.js';
+
+const router = express.Router();
+
+// Fill the policy store: { sources?: ['local', 'federal-register'], documents?: [{ title, summary, region, status, effectiveDate, deadline, affectedRoles, url }] }
+router.post('/ingest/policies', async (req, res) => {
+  try {
+    const result = await policyIngestService.ingest({
+      sources: req.body?.sources || req.query.sources,
+      documents: req.body?.documents
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Policy ingestion error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Policy sources configured in POLICY_SOURCES_PATH
+router.get('/ingest/policy-sources', (req, res) => {
+  const sources = policyIngestService.listSources();
+  res.json({ success: true, sources, count: sources.length });
+});
+
+// Stored policies: ?region=IN&status=upcoming,active&role=data+engineer&q=privacy&limit=20
+router.get('/policies', async (req, res) => {
+  try {
+    const result = await policyService.listPolicies(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Policy list error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/policies/:id', async (req, res) => {
+  try {
+    const policy = await policyService.getPolicy(req.params.id);
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('Policy fetch error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/policies/:id', async (req, res) => {
+  try {
+    const result = await policyService.deletePolicy(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Policy delete error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
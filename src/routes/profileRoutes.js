@@ -0,0 +1,100 @@
+import express from 'express';
+import multer from 'multer';
+import profileService from '../services/profileService.js';
+
+const RESUME_MAX_BYTES = Number(process.env.RESUME_MAX_BYTES || 5 * 1024 * 1024);
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: RESUME_MAX_BYTES, files: 1 } });
+
+// Accept the resume under any multipart field name; upload errors become JSON responses
+function resumeUpload(req, res, next) {
+  upload.any()(req, res, (error) => {
+    if (!error) return next();
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ success: false, error: error.message });
+  });
+}
+
+router.get('/profiles', async (req, res) => {
+  try {
+    const profiles = await profileService.listProfiles();
+    res.json({ success: true, profiles, count: profiles.length });
+  } catch (error) {
+    console.error('Profile list error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a profile: { name?, role?, targetRole?, experience?, skills?, interests?, location?, profileFreeText? }
+router.post('/profiles', async (req, res) => {
+  try {
+    const profile = await profileService.createProfile(req.body || {});
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    console.error('Profile create error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/profiles/:id', async (req, res) => {
+  try {
+    const profile = await profileService.getProfile(req.params.id);
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Update any subset of fields; records a new version when something changed
+router.put('/profiles/:id', async (req, res) => {
+  try {
+    const { profile, changed } = await profileService.updateProfile(req.params.id, req.body || {});
+    res.json({ success: true, profile, changed });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Version history, newest first
+router.get('/profiles/:id/versions', async (req, res) => {
+  try {
+    const versions = await profileService.listVersions(req.params.id);
+    res.json({ success: true, versions, count: versions.length });
+  } catch (error) {
+    console.error('Profile versions error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/profiles/:id/versions/:version', async (req, res) => {
+  try {
+    const version = await profileService.getVersion(req.params.id, req.params.version);
+    res.json({ success: true, version });
+  } catch (error) {
+    console.error('Profile version fetch error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Parse a PDF/DOCX/plain-text resume (multipart upload or JSON { text }) into a profile; ?save=true stores it
+router.post('/profile/parse', resumeUpload, async (req, res) => {
+  try {
+    const file = (req.files || [])[0];
+    const save = String(req.query.save ?? req.body?.save) === 'true';
+    const result = await profileService.parseResume({
+      buffer: file?.buffer,
+      mimetype: file?.mimetype,
+      filename: file?.originalname,
+      text: req.body?.text
+    }, { save });
+    res.status(save ? 201 : 200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Resume parse error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import roadmapService from '../services/roadmapService.js';
+
+const router = express.Router();
+
+// Saved roadmaps (created by POST /api/roadmap), newest activity first
+router.get('/roadmaps', async (req, res) => {
+  try {
+    const roadmaps = await roadmapService.listRoadmaps();
+    res.json({ success: true, roadmaps, count: roadmaps.length });
+  } catch (error) {
+    console.error('Roadmap list error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/roadmaps/:id', async (req, res) => {
+  try {
+    const roadmap = await roadmapService.getRoadmap(req.params.id);
+    res.json({ success: true, ...roadmap });
+  } catch (error) {
+    console.error('Roadmap fetch error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/roadmaps/:id', async (req, res) => {
+  try {
+    const result = await roadmapService.deleteRoadmap(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Roadmap delete error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a milestone: { status: 'completed' | 'in-progress' | 'pending' }; progress is recomputed
+router.patch('/roadmaps/:id/milestones/:milestoneId', async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    const roadmap = await roadmapService.updateMilestone(req.params.id, req.params.milestoneId, status);
+    res.json({ success: true, ...roadmap });
+  } catch (error) {
+    console.error('Milestone update error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-plan everything not yet completed; optional body { skills?, currentExperience?, targetDuration? }
+router.post('/roadmaps/:id/regenerate', async (req, res) => {
+  try {
+    const { skills, currentExperience, targetDuration } = req.body || {};
+    const overrides = { currentExperience, targetDuration };
+    if (Array.isArray(skills)) {
+      overrides.skills = skills.map(s => String(s).trim()).filter(Boolean);
+    } else if (typeof skills === 'string') {
+      overrides.skills = skills.split(',').map(s => s.trim()).filter(Boolean);
+    }
+
+    const { valid, ...result } = await roadmapService.regenerateRemaining(req.params.id, overrides);
+    if (!valid) {
+      console.error('Roadmap regeneration failed validation:', result.errors.slice(0, 5).join('; '));
+      return res.status(502).json({
+        success: false,
+        error: 'Model output did not match the roadmap schema',
+        ...result
+      });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Roadmap regenerate error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
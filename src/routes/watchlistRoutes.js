@@ -0,0 +1,84 @@
+import express from 'express';
+import schedulerService from '../services/schedulerService.js';
+
+const router = express.Router();
+
+// List watchlist queries with schedule state and last run
+router.get('/watchlist', async (req, res) => {
+  try {
+    const queries = await schedulerService.listQueries();
+    res.json({ success: true, queries, count: queries.length });
+  } catch (error) {
+    console.error('Watchlist list error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a watchlist query: { query, cron, timezone?, enabled?, adapters?, domains?, sources?, includeTrends?, strict?, pageSize? }
+router.post('/watchlist', async (req, res) => {
+  try {
+    const query = await schedulerService.createQuery(req.body || {});
+    res.status(201).json({ success: true, query });
+  } catch (error) {
+    console.error('Watchlist create error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/watchlist/:id', async (req, res) => {
+  try {
+    const query = await schedulerService.getQuery(req.params.id);
+    res.json({ success: true, query });
+  } catch (error) {
+    console.error('Watchlist fetch error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Update any subset of fields; the schedule is replaced immediately
+router.put('/watchlist/:id', async (req, res) => {
+  try {
+    const query = await schedulerService.updateQuery(req.params.id, req.body || {});
+    res.json({ success: true, query });
+  } catch (error) {
+    console.error('Watchlist update error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/watchlist/:id', async (req, res) => {
+  try {
+    const result = await schedulerService.deleteQuery(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Watchlist delete error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Run a watchlist query now (skipped if a run for it is already in progress)
+router.post('/watchlist/:id/run', async (req, res) => {
+  try {
+    const run = await schedulerService.runQuery(req.params.id, 'manual');
+    const httpStatus = { success: 200, skipped: 409, failed: 502 }[run.status] || 200;
+    res.status(httpStatus).json({ success: run.status === 'success', run });
+  } catch (error) {
+    console.error('Watchlist run error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Run history, newest first
+router.get('/watchlist/:id/runs', async (req, res) => {
+  try {
+    const limitParam = Number.parseInt(req.query.limit);
+    const limit = Number.isFinite(limitParam) && limitParam > 0 ? Math.min(limitParam, 100) : 20;
+    const runs = await schedulerService.listRuns(req.params.id, limit);
+    res.json({ success: true, runs, count: runs.length });
+  } catch (error) {
+    console.error('Watchlist runs error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+// JSON Schema for POST /api/roadmap model output ({ roadmapData, certifications })
+
+const STATUS = ['completed', 'in-progress', 'pending'];
+
+const milestoneSchema = {
+  type: 'object',
+  required: ['id', 'title', 'type', 'duration', 'status', 'provider'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1 },
+    type: { enum: ['course', 'project', 'certification', 'reading', 'practice'] },
+    duration: { type: 'string', minLength: 1 },
+    status: { enum: STATUS },
+    provider: { type: 'string' }
+  }
+};
+
+const phaseSchema = {
+  type: 'object',
+  required: ['id', 'title', 'duration', 'status', 'progress', 'milestones'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1 },
+    duration: { type: 'string', minLength: 1 },
+    status: { enum: STATUS },
+    progress: { type: 'number', minimum: 0, maximum: 100 },
+    milestones: { type: 'array', minItems: 1, items: milestoneSchema }
+  }
+};
+
+const roadmapDataSchema = {
+  type: 'object',
+  required: ['title', 'totalDuration', 'completionRate', 'phases'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    totalDuration: { type: 'string', minLength: 1 },
+    completionRate: { type: 'number', minimum: 0, maximum: 100 },
+    phases: { type: 'array', minItems: 1, items: phaseSchema }
+  }
+};
+
+const certificationSchema = {
+  type: 'object',
+  required: ['name', 'provider', 'difficulty', 'duration', 'value', 'priority'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    provider: { type: 'string', minLength: 1 },
+    difficulty: { enum: ['Beginner', 'Intermediate', 'Advanced'] },
+    duration: { type: 'string' },
+    value: { enum: ['High', 'Medium', 'Low'] },
+    priority: { enum: ['Recommended', 'Optional', 'Stretch'] }
+  }
+};
+
+// Model output for "regenerate remaining phases": only the phases that follow the kept work
+const remainingPhasesSchema = {
+  type: 'object',
+  required: ['phases'],
+  properties: {
+    totalDuration: { type: 'string', minLength: 1 },
+    phases: { type: 'array', minItems: 1, items: phaseSchema }
+  }
+};
+
+const roadmapResponseSchema = {
+  type: 'object',
+  required: ['roadmapData', 'certifications'],
+  properties: {
+    roadmapData: roadmapDataSchema,
+    certifications: { type: 'array', items: certificationSchema }
+  }
+};
+
+export { STATUS as MILESTONE_STATUSES, milestoneSchema, phaseSchema, roadmapDataSchema, certificationSchema, remainingPhasesSchema, roadmapResponseSchema };
@@ -0,0 +1,43 @@
+// JSON Schemas for GET /api/trends?format=card
+
+const salarySchema = {
+  type: ['object', 'null'],
+  required: ['currency', 'min', 'max'],
+  additionalProperties: false,
+  properties: {
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    min: { type: 'number', minimum: 0 },
+    max: { type: ['number', 'null'], minimum: 0 }
+  }
+};
+
+// What the model returns: salary context and narrative per computed skill
+const trendNarrativeSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['skill', 'salary', 'narrative'],
+    additionalProperties: false,
+    properties: {
+      skill: { type: 'string', minLength: 1 },
+      salary: salarySchema,
+      narrative: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// What the route returns: computed numbers merged with the model fields
+const trendCardSchema = {
+  type: 'object',
+  required: ['skill', 'mentions', 'growth', 'demand', 'salary'],
+  properties: {
+    skill: { type: 'string', minLength: 1 },
+    mentions: { type: 'integer', minimum: 0 },
+    growth: { type: ['number', 'null'] },
+    demand: { enum: ['High', 'Medium', 'Low'] },
+    salary: salarySchema,
+    narrative: { type: ['string', 'null'] }
+  }
+};
+
+export { salarySchema, trendNarrativeSchema, trendCardSchema };
@@ -0,0 +1,196 @@
+import storageClient from '../storage/storageClient.js';
+import articleService from './articleService.js';
+import geminiClient from '../vertexclient/geminiClient.js';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import textMatcher from '../utils/textMatcher.js';
+import regionMatcher from '../utils/regionMatcher.js';
+import HttpError from '../utils/httpError.js';
+
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+const SEARCH_MIN_SIMILARITY = Number(process.env.SEARCH_MIN_SIMILARITY || 0.3);
+// Share of the hybrid score taken by the keyword score (the rest is semantic similarity)
+const HYBRID_KEYWORD_WEIGHT = Number(process.env.SEARCH_HYBRID_KEYWORD_WEIGHT || 0.4);
+const MAX_LIMIT = 50;
+const SNIPPET_CHARS = 240;
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'how', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'what', 'which', 'with']);
+
+class ArticleSearchService {
+  /**
+   * Search stored articles.
+   * - keyword: whole-word matches of the query terms, with skills expanded to
+   *   their taxonomy aliases ("LLM" also finds "large language model")
+   * - semantic: cosine similarity between the query and article embeddings
+   * - hybrid: weighted sum of both
+   *
+   * @param {Object} params - { q, mode, from, to, source, tags, region, limit, cursor }
+   * @returns {Promise<{ mode, query, filters, results, count, nextCursor, hasMore, warning? }>}
+   */
+  async search(params = {}) {
+    const query = String(params.q || params.query || '').trim();
+    if (!query) throw new HttpError(400, "Provide a search query with ?q=...");
+
+    const requestedMode = String(params.mode || 'hybrid').toLowerCase();
+    if (!SEARCH_MODES.includes(requestedMode)) {
+      throw new HttpError(400, `mode must be one of: ${SEARCH_MODES.join(', ')}`);
+    }
+    let mode = requestedMode;
+
+    const filters = this.parseFilters(params);
+    const limit = Math.min(Math.max(Number.parseInt(params.limit) || 20, 1), MAX_LIMIT);
+    const minSimilarity = this.parseMinSimilarity(params.minSimilarity);
+    const after = params.cursor ? this.decodeCursor(params.cursor, requestedMode) : null;
+    const terms = this.queryTerms(query);
+
+    let vector = null;
+    let warning;
+    if (mode !== 'keyword') {
+      try {
+        ({ values: vector } = await geminiClient.createEmbedding(query));
+        if (!vector?.length) throw new Error('Embedding model returned no values');
+      } catch (error) {
+        if (mode === 'semantic') throw new HttpError(502, 'Query embedding failed', error.message);
+        console.warn('Query embedding failed, hybrid search falls back to keywords:', error.message);
+        warning = `Semantic ranking unavailable (${error.message}); results are keyword-ranked`;
+        mode = 'keyword';
+        vector = null;
+      }
+    }
+
+    const weights = {
+      keyword: { keywordWeight: 1, semanticWeight: 0 },
+      semantic: { keywordWeight: 0, semanticWeight: 1 },
+      hybrid: { keywordWeight: HYBRID_KEYWORD_WEIGHT, semanticWeight: 1 - HYBRID_KEYWORD_WEIGHT }
+    }[mode];
+
+    const rows = await storageClient.searchArticles({
+      patterns: terms.map(group => this.pattern(group)),
+      vector,
+      model: vector ? geminiClient.embeddingModelName : null,
+      ...weights,
+      minSimilarity,
+      from: filters.from,
+      to: filters.to,
+      sources: filters.sources,
+      tags: filters.tags.length ? skillTaxonomy.expand(filters.tags) : [],
+      textPattern: filters.region ? this.pattern(regionMatcher.phrases(filters.region)) : null,
+      after,
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+    const highlightTerms = terms.flat();
+    const results = page.map(row => ({
+      id: row.id,
+      title: row.title,
+      url: row.url,
+      source: row.source,
+      publishedAt: row.published_at,
+      tags: row.tags || [],
+      regions: regionMatcher.match(`${row.title} ${row.body || ''} ${(row.tags || []).join(' ')}`),
+      score: row.score,
+      scores: { keyword: row.keywordScore, semantic: row.semanticScore },
+      highlights: {
+        title: this.highlight(row.title || '', highlightTerms),
+        snippet: this.snippet(`${row.body || ''} ${row.content || ''}`.trim(), highlightTerms)
+      }
+    }));
+    const last = page[page.length - 1];
+
+    return {
+      mode,
+      query,
+      terms,
+      filters,
+      results,
+      count: results.length,
+      nextCursor: hasMore ? articleService.encodeCursor({ mode: requestedMode, score: last.score, id: last.id }) : null,
+      hasMore,
+      ...(warning ? { warning } : {})
+    };
+  }
+
+  /**
+   * Query terms grouped by concept: each skill the taxonomy recognizes becomes
+   * one group of its spellings, every other non-stopword is its own group.
+   * @returns {string[][]}
+   */
+  queryTerms(query) {
+    const groups = [];
+    const covered = new Set();
+    for (const name of skillTaxonomy.matchText(query)) {
+      const skill = skillTaxonomy.lookup(name);
+      const spellings = Array.from(new Set([skill.name, skill.label, ...skill.aliases]
+        .map(term => skillTaxonomy.normalizeTerm(term))));
+      spellings.forEach(term => textMatcher.tokenize(term).forEach(token => covered.add(token)));
+      groups.push(spellings);
+    }
+    for (const token of new Set(textMatcher.tokenize(query))) {
+      if (!STOPWORDS.has(token) && !covered.has(token)) groups.push([token]);
+    }
+    return groups;
+  }
+
+  // Whole-word alternation for lowercased text; works in JavaScript and BigQuery (RE2) regexes
+  pattern(phrases = []) {
+    return `(^|[^a-z0-9])(${this.alternation(phrases)})($|[^a-z0-9])`;
+  }
+
+  // Same match with lookarounds, so adjacent terms are all found when highlighting (JavaScript only)
+  termRegex(phrases, flags) {
+    return new RegExp(`(?<![a-z0-9])(?:${this.alternation(phrases)})(?![a-z0-9])`, flags);
+  }
+
+  alternation(phrases) {
+    return phrases.map(phrase => skillTaxonomy.normalizeTerm(phrase)
+      .split(' ')
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[\\s_-]+'))
+      .join('|');
+  }
+
+  // Similarity floor for semantic matches, a number from 0 to 1
+  parseMinSimilarity(value) {
+    if (value === undefined || value === null || value === '') return SEARCH_MIN_SIMILARITY;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+      throw new HttpError(400, `minSimilarity must be a number between 0 and 1, got '${value}'`);
+    }
+    return parsed;
+  }
+
+  // Listing filters (date range, source, tags) plus region
+  parseFilters(params) {
+    let region = null;
+    if (params.region) {
+      region = regionMatcher.resolve(params.region);
+      if (!region) throw new HttpError(400, `Unknown region "${params.region}". Use one of: ${regionMatcher.names().join(', ')}`);
+    }
+    return { ...articleService.parseFilters(params), region };
+  }
+
+  // Cursors are only valid for the requested mode that produced them (scores differ per mode)
+  decodeCursor(cursor, mode) {
+    const position = articleService.decodeCursor(cursor, { mode });
+    if (typeof position.score !== 'number') throw new HttpError(400, 'Invalid cursor (use nextCursor from a previous response with the same parameters)');
+    return { score: position.score, id: position.id };
+  }
+
+  // HTML-escaped text with query terms wrapped in <mark>
+  highlight(text, terms = []) {
+    const escaped = text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    if (terms.length === 0) return escaped;
+    return escaped.replace(this.termRegex(terms, 'gi'), '<mark>$&</mark>');
+  }
+
+  // Window of the text around the first term match (or its start), highlighted
+  snippet(text, terms = []) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    const match = terms.length ? this.termRegex(terms, 'i').exec(clean) : null;
+    const start = match ? Math.max(0, match.index - Math.floor(SNIPPET_CHARS / 3)) : 0;
+    const window = clean.slice(start, start + SNIPPET_CHARS);
+    return `${start > 0 ? '…' : ''}${this.highlight(window, terms)}${start + SNIPPET_CHARS < clean.length ? '…' : ''}`;
+  }
+}
+
+export default new ArticleSearchService();
@@ -0,0 +1,132 @@
+import storageClient from '../storage/storageClient.js';
+import cacheClient from '../cache/cacheClient.js';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import HttpError from '../utils/httpError.js';
+
+// Sort key of an article per sort, as the backends order by it (articles without an ingest time sort by publish time)
+const SORT_FIELDS = {
+  published: article => article.publishedAt,
+  ingested: article => article.ingestedAt || article.publishedAt
+};
+const MAX_LIMIT = 100;
+
+class ArticleService {
+  /**
+   * Page through stored articles.
+   * @param {Object} params - { sort: 'published'|'ingested', order: 'desc'|'asc', from, to, source, tags, query, adapter, limit, cursor }
+   * @returns {Promise<{ articles, count, sort, order, filters, nextCursor, hasMore }>}
+   */
+  async listArticles(params = {}) {
+    const sort = String(params.sort || 'published').toLowerCase();
+    if (!Object.hasOwn(SORT_FIELDS, sort)) throw new HttpError(400, `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    const order = String(params.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) throw new HttpError(400, "order must be 'asc' or 'desc'");
+
+    const filters = this.parseFilters(params);
+    const ingestQuery = String(params.query || params.ingestQuery || '').trim() || null;
+    const adapters = String(params.adapter || params.adapters || '').split(',').map(s => s.trim()).filter(Boolean);
+    const limit = Math.min(Math.max(Number.parseInt(params.limit) || 20, 1), MAX_LIMIT);
+    const after = params.cursor ? this.decodeCursor(params.cursor, { sort, order }) : null;
+
+    const rows = await storageClient.listArticles({
+      sort,
+      order,
+      from: filters.from,
+      to: filters.to,
+      sources: filters.sources,
+      tags: filters.tags.length ? skillTaxonomy.expand(filters.tags) : [],
+      ingestQuery,
+      adapters,
+      after: after && { value: after.value, id: after.id },
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit).map(row => this.toArticle(row));
+    const hasMore = rows.length > limit;
+    const last = page[page.length - 1];
+
+    return {
+      articles: page,
+      count: page.length,
+      sort,
+      order,
+      filters: { ...filters, query: ingestQuery, adapters },
+      nextCursor: hasMore ? this.encodeCursor({ sort, order, value: SORT_FIELDS[sort](last), id: last.id }) : null,
+      hasMore
+    };
+  }
+
+  async getArticle(id) {
+    const row = await storageClient.getArticle(id);
+    if (!row) throw new HttpError(404, 'Article not found');
+    return this.toArticle(row, { full: true });
+  }
+
+  // Removes the article and drops cached results that may have counted it
+  async deleteArticle(id) {
+    const deleted = await storageClient.deleteArticle(id);
+    if (!deleted) throw new HttpError(404, 'Article not found');
+    await cacheClient.invalidateArticles();
+    return { id, deleted: true };
+  }
+
+  // Listing responses leave out the article content; the detail view includes it
+  toArticle(row, { full = false } = {}) {
+    return {
+      id: row.id,
+      title: row.title,
+      url: row.url,
+      source: row.source,
+      author: row.author,
+      imageUrl: row.image_url,
+      publishedAt: row.published_at,
+      ingestedAt: row.ingested_at,
+      ingestQuery: row.ingest_query,
+      adapter: row.ingest_adapter,
+      tags: row.tags || [],
+      body: row.body,
+      ...(full ? { content: row.content, embeddingModel: row.embedding_model } : {})
+    };
+  }
+
+  // Date range, source and tag filters shared by listing and search
+  parseFilters(params) {
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(s => String(s).trim()).filter(Boolean);
+
+    const from = this.parseDate(params.from, 'from');
+    const to = this.parseDate(params.to, 'to', true);
+    if (from && to && from > to) throw new HttpError(400, "'from' must be before 'to'");
+
+    return { from, to, sources: list(params.source || params.sources), tags: list(params.tags || params.tag) };
+  }
+
+  // ISO timestamp for a date or date-time; a bare 'to' date covers the whole day
+  parseDate(value, name, endOfDay = false) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const date = new Date(dateOnly && endOfDay ? `${text}T23:59:59.999Z` : text);
+    if (Number.isNaN(date.getTime())) throw new HttpError(400, `'${name}' must be a date (YYYY-MM-DD) or ISO timestamp`);
+    return date.toISOString();
+  }
+
+  // Opaque cursor holding the last item's position plus the settings it is valid for
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  // Decoded position, or 400 when the cursor is malformed or was issued for other settings
+  decodeCursor(cursor, expected = {}) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const matches = Object.entries(expected).every(([key, value]) => position[key] === value);
+      if (matches && typeof position.id === 'string') return position;
+    } catch {
+      // fall through to the error below
+    }
+    throw new HttpError(400, 'Invalid cursor (use nextCursor from a previous response with the same parameters)');
+  }
+}
+
+export default new ArticleService();
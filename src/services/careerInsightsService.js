@@ -1,11 +1,20 @@
 import newsApiClient from '../utils/newsApiClient.js';
-import bigqueryClient from '../gcpclient/bigqueryClient.js';
+import storageClient from '../storage/storageClient.js';
 import geminiClient from '../vertexclient/geminiClient.js';
+import articleDeduper from '../utils/articleDeduper.js';
+import citationChecker from '../utils/citationChecker.js';
+import promptBuilder from '../utils/promptBuilder.js';
+import profileNormalizer from '../utils/profileNormalizer.js';
+import cacheClient from '../cache/cacheClient.js';
+import retrievalService from './retrievalService.js';
+import sourceRegistry from '../sources/sourceRegistry.js';
+
+const DEDUP_LOOKBACK_DAYS = Number(process.env.DEDUP_LOOKBACK_DAYS || 14);
 
 class CareerInsightsService {
   async setupDatabase() {
     try {
-      const result = await bigqueryClient.createDatasetAndTable();
+      const result = await storageClient.createDatasetAndTable();
       return {
         success: true,
         message: 'Database setup completed successfully',
@@ -17,16 +26,22 @@ class CareerInsightsService {
     }
   }
 
+  /**
+   * @param {string} query
+   * @param {Object} [options] - { adapters, pageSize, domains, sources, includeCommonTagKeywords, includeTrends, ... };
+   *   `adapters` names the news sources to pull from (default INGEST_ADAPTERS), unknown names are a 400
+   */
   async ingestNews(query, options = {}) {
+    const { adapters: requested, ...fetchOptions } = options;
+    const adapters = sourceRegistry.resolve(requested);
+
     try {
-      console.log(`📰 Fetching news for query: "${query}"`);
-      
-      // Fetch news from NewsAPI
-      const newsResult = await newsApiClient.fetchNews(query, {
+      console.log(`📰 Fetching news for query: "${query}" from ${adapters.join(', ')}`);
+
+      const newsResult = await sourceRegistry.fetch(query, adapters, {
         pageSize: options.pageSize || 20,
-        sortBy: 'publishedAt',
         includeCommonTagKeywords: options.includeCommonTagKeywords,
-        ...options
+        ...fetchOptions
       });
 
       if (newsResult.articles.length === 0) {
@@ -34,14 +49,44 @@ class CareerInsightsService {
           success: true,
           message: 'No articles found for the given query',
           ingested: 0,
-          query
+          new: 0,
+          updated: 0,
+          duplicates: 0,
+          query,
+          adapters: newsResult.adapters
         };
       }
 
-      console.log(`Found ${newsResult.articles.length} articles, inserting into BigQuery`);
-      
-      // Insert into BigQuery
-      const insertedCount = await bigqueryClient.insertNewsArticles(newsResult.articles);
+      // Drop repeats within the batch and stories already stored under another source
+      let existing = [];
+      try {
+        existing = await storageClient.queryRecentTitles(DEDUP_LOOKBACK_DAYS);
+      } catch (error) {
+        console.warn('Could not load stored titles for near-duplicate check:', error.message);
+      }
+      const { unique, duplicates } = articleDeduper.dedupe(newsResult.articles, existing);
+
+      console.log(`Found ${newsResult.articles.length} articles (${duplicates.length} duplicates), upserting into ${storageClient.backend} storage`);
+
+      // Upsert into the configured storage backend (idempotent by article ID);
+      // new articles remember the query and adapter that first brought them in
+      const { inserted, updated, unchanged } = await storageClient.upsertNewsArticles(
+        unique.map(article => ({ ...article, ingestQuery: query }))
+      );
+
+      let embedded = 0;
+      if (inserted + updated > 0) {
+        // Trend/overview results cached before this ingest are now stale
+        const invalidated = await cacheClient.invalidateArticles();
+        if (invalidated) console.log(`Invalidated ${invalidated} cached entries after ingest`);
+
+        // Embed new and changed articles for retrieval; a failure leaves them for the next run
+        try {
+          ({ embedded } = await retrievalService.embedPendingArticles());
+        } catch (embedErr) {
+          console.warn('Article embedding failed:', embedErr.message);
+        }
+      }
 
       // Optionally fetch Google Trends snapshot without writing to DB
       let trends = undefined;
@@ -58,9 +103,14 @@ class CareerInsightsService {
       return {
         success: true,
         message: 'News ingested successfully',
-        ingested: insertedCount,
+        ingested: inserted + updated,
+        new: inserted,
+        updated,
+        duplicates: duplicates.length + unchanged,
+        embedded,
         totalFound: newsResult.totalResults,
         query,
+        adapters: newsResult.adapters,
         ...(trends ? { trends } : {})
       };
 
@@ -70,56 +120,72 @@ class CareerInsightsService {
     }
   }
 
-  async generateCareerInsights(userProfile = {}) {
+  /**
+   * @param {Object} userProfile - profile fields (normalized here)
+   * @param {Object} [hooks] - for streaming callers
+   * @param {Function} [hooks.onProgress] - (stage, data) after each pipeline stage
+   * @param {Function} [hooks.onToken] - (text) per model chunk; switches to streaming generation
+   * @param {AbortSignal} [hooks.signal] - aborts the model call when the caller disconnects
+   * @param {Object} [hooks.retrieval] - articles already retrieved by the caller (skips retrieval, keeps [A1]... refs shared)
+   */
+  async generateCareerInsights(userProfile = {}, { onProgress = () => {}, onToken = null, signal, retrieval: retrieved = null } = {}) {
     try {
-      const {
-        profileFreeText = '',
-        skills = '',
-        role = 'professional',
-        experience = 'mid-level',
-        interests = '',
-        location = ''
-      } = userProfile;
+      const profile = profileNormalizer.withDefaults(profileNormalizer.normalize(userProfile));
+      const { profileFreeText, role, experience, location } = profile;
+      const skills = profile.skills.join(', ');
+      const interests = profile.interests.join(', ');
 
       console.log(`🤖 Generating insights for ${role} with skills: ${skills}`);
       if (profileFreeText) console.log('User narrative provided (length):', profileFreeText.length);
 
-      // Get trending topics from BigQuery
+      // Get trending topics from storage
       let trends = [];
       let trendsText = 'No trend data available';
       
       try {
-        trends = await bigqueryClient.queryTopTrends(7); // Last 7 days
+        trends = await storageClient.queryTopTrends(7); // Last 7 days
         if (trends.length > 0) {
-          trendsText = trends
-            .map(t => `${t.skill} (${t.mentions} mentions)`)
-            .join(', ');
+          trendsText = this.formatTrends(trends);
         }
       } catch (error) {
         console.warn('Could not fetch trends, using default message');
       }
+      onProgress('trends', { status: 'done', count: trends.length });
 
-      // Build comprehensive prompt
-      const prompt = this.buildCareerPrompt({
+      // Stored articles most similar to the profile, quoted in the prompt as [A1], [A2], ...
+      const retrieval = retrieved || await retrievalService.retrieve(retrievalService.profileQuery(profile));
+      onProgress('retrieval', { status: retrieval.error ? 'failed' : 'done', count: retrieval.articles.length, error: retrieval.error });
+
+      // Build comprehensive prompt, fitted to the model's token budget
+      const generationOptions = { temperature: 0.5, maxTokens: 1400 };
+      const { prompt, usage } = await promptBuilder.build(this.buildCareerPrompt({
         profileFreeText,
         skills,
         role,
         experience,
         interests,
         location,
-        trendsText
-      });
+        trendsText,
+        newsContext: retrievalService.formatContext(retrieval.articles)
+      }), { outputTokens: generationOptions.maxTokens });
 
       // Generate AI insights (slightly lower temperature for crisper, more actionable output)
-      const aiResponse = await geminiClient.generateContent(prompt, {
-        temperature: 0.5,
-        maxTokens: 1400
-      });
+      onProgress('model', { status: 'started' });
+      const aiResponse = onToken
+        ? await geminiClient.generateContentStream(prompt, { ...generationOptions, signal }, onToken)
+        : await geminiClient.generateContent(prompt, { ...generationOptions, signal });
+      onProgress('model', { status: 'done', finishReason: aiResponse.finishReason });
+
+      // Keep only citations of articles and trends the prompt actually listed
+      const checked = citationChecker.check(aiResponse.text, citationChecker.listed([
+        ...retrievalService.citable(retrieval.articles),
+        ...this.trendCitations(trends)
+      ], prompt));
 
       // Get article count for context
       let articleCount = 0;
       try {
-        articleCount = await bigqueryClient.getArticleCount();
+        articleCount = await storageClient.getArticleCount();
       } catch (error) {
         console.warn('Could not get article count');
       }
@@ -127,19 +193,22 @@ class CareerInsightsService {
       return {
         success: true,
         insights: {
-          aiAdvice: aiResponse.text,
+          aiAdvice: checked.text,
           trending: trends,
+          sources: retrievalService.toSources(retrieval.articles, checked.text),
+          citations: checked.citations,
           userProfile: {
-            profileFreeText,
-            skills,
-            role,
-            experience,
-            interests,
-            location
+            ...profile,
+            profileId: userProfile.profileId,
+            profileVersion: userProfile.profileVersion
           },
           metadata: {
             articleCount,
             trendsAnalyzed: trends.length,
+            retrievedArticles: retrieval.articles.length,
+            droppedCitations: checked.dropped,
+            tokenUsage: promptBuilder.withOutput(usage, aiResponse.text),
+            ...(retrieval.error ? { retrievalError: retrieval.error } : {}),
             generatedAt: new Date().toISOString()
           }
         }
@@ -151,11 +220,22 @@ class CareerInsightsService {
     }
   }
 
-  buildCareerPrompt({ profileFreeText = '', skills, role, experience, interests, location, trendsText }) {
-    return `You are Growgle an expert, pragmatic career coach. Produce a fully personalized, market-driven plan for any role (e.g., teacher, entrepreneur, master's student, freelancer, researcher, engineer). Optimize for time-to-outcome based on the user's profile and the newest in-demand skills. Do not self-reference or mention your name; do not use phrases like "As Growgle".
+  // Market signals under their [T1]... references
+  formatTrends(trends = []) {
+    return trends.map((t, i) => `[T${i + 1}] ${t.skill} (${t.mentions} mentions)`).join(', ');
+  }
+
+  // Citation catalog entries matching formatTrends()'s references
+  trendCitations(trends = []) {
+    return trends.map((t, i) => ({ ref: `T${i + 1}`, type: 'trend', skill: t.skill, mentions: t.mentions }));
+  }
+
+  // Prompt parts for promptBuilder.build(); the narrative, trends and news are the budgeted sections
+  buildCareerPrompt({ profileFreeText = '', skills, role, experience, interests, location, trendsText, newsContext = 'No relevant articles retrieved.' }) {
+    return promptBuilder.parts`You are Growgle an expert, pragmatic career coach. Produce a fully personalized, market-driven plan for any role (e.g., teacher, entrepreneur, master's student, freelancer, researcher, engineer). Optimize for time-to-outcome based on the user's profile and the newest in-demand skills. Do not self-reference or mention your name; do not use phrases like "As Growgle".
 
 USER NARRATIVE
-- ${profileFreeText || 'Not provided'}
+- ${promptBuilder.section('profileFreeText', profileFreeText || 'Not provided', { priority: 3, maxTokens: 600 })}
 
 USER PROFILE
 - Role: ${role}
@@ -165,7 +245,10 @@ USER PROFILE
 - Location/Preference: ${location || 'Not specified'}
 
 MARKET SIGNALS (latest skills & trends derived from news and hiring data)
-${trendsText}
+${promptBuilder.section('trends', trendsText, { priority: 2, maxTokens: 300 })}
+
+RELEVANT NEWS (recent stored articles matched to this profile)
+${promptBuilder.section('news', newsContext, { priority: 1, maxTokens: 2500, strategy: 'blocks' })}
 
 GOALS
 - Personalize advice to the user's role, level, and interests (works for educators, entrepreneurs, students, freelancers, and employees).
@@ -215,6 +298,7 @@ ASSUMPTIONS
 STYLE & CONSTRAINTS
 - Be specific and practical; avoid generic phrasing.
 - Explicitly reference 1-2 top trends by name in relevant sections.
+- Cite sources inline: end each recommendation or paragraph that relies on RELEVANT NEWS or MARKET SIGNALS with their references (e.g. [A2] or [A1, T3]). Use only references listed above and never invent new ones; leave statements without a source unmarked.
 - Use concise sentences and scannable bullets.
 - Do not self-reference; do not include phrases like "As Growgle".
 - Aim for 700-900 words total.`;
@@ -228,16 +312,19 @@ STYLE & CONSTRAINTS
         components: {}
       };
 
-      // Check BigQuery connection
+      // Check storage backend connection. The `bigquery` / `vertexai` keys predate the pluggable
+      // backends and are kept for existing health checks; `backend` / `provider` name the one in use
       try {
-        const articleCount = await bigqueryClient.getArticleCount();
+        const articleCount = await storageClient.getArticleCount();
         status.components.bigquery = {
           status: 'healthy',
+          backend: storageClient.backend,
           articleCount
         };
       } catch (error) {
         status.components.bigquery = {
           status: 'error',
+          backend: storageClient.backend,
           error: error.message
         };
       }
@@ -256,19 +343,28 @@ STYLE & CONSTRAINTS
         };
       }
 
-      // Check Vertex AI (basic auth check)
+      // Check the configured LLM provider (Vertex auth check, server reachability, ...)
       try {
-        await geminiClient.getAccessToken();
+        const llm = await geminiClient.checkHealth();
         status.components.vertexai = {
-          status: 'healthy'
+          status: 'healthy',
+          ...llm
         };
       } catch (error) {
         status.components.vertexai = {
           status: 'error',
+          provider: geminiClient.providerName,
           error: error.message
         };
       }
 
+      // Cache backend (an unreachable Redis only disables caching, so it is not an error)
+      const cache = await cacheClient.stats();
+      status.components.cache = {
+        status: cache.connected === false ? 'degraded' : 'healthy',
+        ...cache
+      };
+
       // Overall health
       const hasErrors = Object.values(status.components)
         .some(component => component.status === 'error');
@@ -0,0 +1,233 @@
+import careerInsightsService from './careerInsightsService.js';
+import geminiClient from '../vertexclient/geminiClient.js';
+import retrievalService from './retrievalService.js';
+import policyService from './policyService.js';
+import geoApiClient from '../utils/geoApiClient.js';
+import regionMatcher from '../utils/regionMatcher.js';
+import citationChecker from '../utils/citationChecker.js';
+import promptBuilder from '../utils/promptBuilder.js';
+import HttpError from '../utils/httpError.js';
+
+const POLICY_TOP_K = Number(process.env.POLICY_TOP_K || 5);
+
+class ExploreService {
+  /**
+   * Combine internal career insights with policies from the policy store (and
+   * the external geo service when a geo adapter is configured) into one answer.
+   *
+   * @param {Object} params
+   * @param {string} params.question
+   * @param {Object} params.profile - resolved profile (see profileService.resolveProfile)
+   * @param {boolean} [params.includeTrending]
+   * @param {Object} [params.context] - { retrieval, careerData, geo } from an earlier turn to reuse instead of recomputing
+   * @param {string} [params.history] - conversation so far (see exploreSessionService.history)
+   * @param {string[]} [params.priorQuestions] - earlier questions, to carry regions and topics into short follow-ups
+   * @param {Object} [hooks] - { onProgress(stage, data), onToken(text), signal } for streaming callers
+   * @returns {Promise<{ answer, careerData, trending, articleCount, policies, policyError, geo, sources, retrievalError, tokenUsage, reused, context }>}
+   *   `geo` is the geoApiClient.query() result (adapter, circuit, status, payload, ...); `context` holds what
+   *   a follow-up may reuse, `reused` which parts came from `params.context`
+   */
+  async explore({ question, profile, includeTrending = true, context = null, history = '', priorQuestions = [] }, { onProgress = () => {}, onToken = null, signal } = {}) {
+    const reuse = context || {};
+
+    // 0) Retrieve stored articles relevant to the question and profile; both prompts cite them as [A1], [A2], ...
+    // Reused career insights cite the articles of their own turn, so those are reused with them
+    let retrieval;
+    if (reuse.retrieval && reuse.careerData) {
+      retrieval = reuse.retrieval;
+      onProgress('retrieval', { status: 'reused', count: retrieval.articles.length });
+    } else {
+      retrieval = await retrievalService.retrieve(retrievalService.profileQuery(profile, [question, ...priorQuestions].join('\n')));
+      onProgress('retrieval', { status: retrieval.error ? 'failed' : 'done', count: retrieval.articles.length, error: retrieval.error });
+    }
+
+    // 1) Generate internal career insights (reusing existing service)
+    let careerData = reuse.careerData && retrieval === reuse.retrieval ? reuse.careerData : null;
+    if (careerData) {
+      onProgress('career', { status: 'reused' });
+    } else {
+      try {
+        careerData = await careerInsightsService.generateCareerInsights(profile, {
+          onProgress: (stage, data) => onProgress(`career.${stage}`, data),
+          signal,
+          retrieval
+        });
+      } catch (ciErr) {
+        console.warn('Career insights generation failed inside /explore:', ciErr.message);
+        careerData = { success: false, error: ciErr.message };
+      }
+      onProgress('career', { status: careerData.success ? 'done' : 'failed', error: careerData.error });
+    }
+
+    // 2) Policies for the regions the question names (else earlier questions, else the profile location), plus the optional geo API
+    const { policies, policyError } = await this.findPolicies(question, profile, priorQuestions);
+    onProgress('policy', { status: policyError ? 'failed' : 'done', count: policies.length, error: policyError || undefined });
+
+    // An earlier geo answer is reused unless the question names a region it did not cover
+    let geo;
+    const named = regionMatcher.match(question);
+    if (reuse.geo && named.every(region => reuse.geo.payload.regions.includes(region))) {
+      geo = reuse.geo;
+      onProgress('geo', { status: 'reused' });
+    } else {
+      if (geoApiClient.enabled) onProgress('geo', { status: 'started', adapter: geoApiClient.adapter, circuit: geoApiClient.circuit });
+      geo = await geoApiClient.query(question);
+      if (geo.status !== 'disabled') {
+        onProgress('geo', { status: geo.status === 'ok' ? 'done' : geo.status, attempts: geo.attempts, error: geo.error || undefined });
+      }
+    }
+
+    const careerAdvice = careerData?.insights?.aiAdvice || 'No career insights available.';
+    const trending = includeTrending ? (careerData?.insights?.trending || []) : [];
+    const articleCount = careerData?.insights?.metadata?.articleCount || 0;
+
+    // 3) Consolidate with Gemini
+    const newsContext = retrievalService.formatContext(retrieval.articles);
+    const policyContext = policyError ? `[Unavailable: ${policyError}]` : policyService.formatContext(policies);
+    const geoContext = this.formatGeoContext(geo);
+    const generationOptions = { temperature: 0.45, maxTokens: 2048 };
+    const { prompt: consolidationPrompt, usage } = await promptBuilder.build(
+      this.buildConsolidationPrompt({ question, careerAdvice, policyContext, geoContext, trending, newsContext, history }),
+      { outputTokens: generationOptions.maxTokens }
+    );
+
+    let consolidated;
+    try {
+      onProgress('consolidation', { status: 'started', promptTokens: usage.promptTokens });
+      const gen = onToken
+        ? await geminiClient.generateContentStream(consolidationPrompt, { ...generationOptions, signal }, onToken)
+        : await geminiClient.generateContent(consolidationPrompt, { ...generationOptions, signal });
+      consolidated = gen?.text || '';
+      onProgress('consolidation', { status: 'done', finishReason: gen?.finishReason });
+    } catch (modelErr) {
+      throw new HttpError(500, 'Consolidation model failed', modelErr.message);
+    }
+
+    // Keep only citations of sources the prompt listed: articles, trends (via the career insights), policies and geo fields
+    const checked = citationChecker.check(consolidated, citationChecker.listed([
+      ...retrievalService.citable(retrieval.articles),
+      ...careerInsightsService.trendCitations(careerData?.insights?.trending || []),
+      ...policyService.citable(policies),
+      ...this.geoCitations(geo)
+    ], consolidationPrompt));
+
+    return {
+      answer: checked.text,
+      careerData,
+      trending,
+      articleCount,
+      policies: policies.map((policy, i) => ({ ...policy, ref: `P${i + 1}` })),
+      policyError,
+      geo,
+      sources: retrievalService.toSources(retrieval.articles, checked.text),
+      citations: checked.citations,
+      droppedCitations: checked.dropped,
+      retrievalError: retrieval.error || null,
+      // Career insights computed by this turn report their own usage; reused ones cost nothing
+      tokenUsage: {
+        consolidation: promptBuilder.withOutput(usage, consolidated),
+        career: careerData === reuse.careerData ? null : careerData?.insights?.metadata?.tokenUsage || null
+      },
+      reused: { retrieval: retrieval === reuse.retrieval, career: careerData === reuse.careerData, geo: geo === reuse.geo },
+      // What a follow-up may reuse: the articles, the parts of the insights explore reads, and the geo answer without the raw response
+      context: {
+        retrieval: { articles: retrieval.articles, ...(retrieval.error ? { error: retrieval.error } : {}) },
+        careerData: {
+          success: !!careerData?.success,
+          error: careerData?.error,
+          insights: { aiAdvice: careerData?.insights?.aiAdvice, trending: careerData?.insights?.trending || [], metadata: { articleCount } }
+        },
+        geo: { ...geo, raw: null }
+      }
+    };
+  }
+
+  // Policy store lookup; never throws so explore still answers without policy context
+  async findPolicies(question, profile = {}, priorQuestions = []) {
+    let regions = regionMatcher.match(question);
+    for (const prior of priorQuestions) {
+      if (regions.length === 0) regions = regionMatcher.match(prior);
+    }
+    if (regions.length === 0 && profile.location) regions.push(...regionMatcher.match(profile.location));
+    try {
+      const policies = await policyService.search({ text: [question, ...priorQuestions].join(' '), regions, role: profile.role || '', requireMatch: true, limit: POLICY_TOP_K });
+      return { policies, policyError: null };
+    } catch (error) {
+      console.warn('Policy lookup failed inside /explore:', error.message);
+      return { policies: [], policyError: error.message };
+    }
+  }
+
+  // Prompt section for the geo service's normalized answer ([G1] answer, then its policies); empty when no adapter is configured
+  formatGeoContext(geo) {
+    if (geo.status === 'disabled') return '';
+    if (!geo.payload) return `[Unavailable: ${geo.error}]`;
+    const { answer, policies } = geo.payload;
+    return [
+      answer ? `[G1] ${answer}` : null,
+      policies.length ? policyService.formatContext(policies, 'G', answer ? 2 : 1) : null
+    ].filter(Boolean).join('\n');
+  }
+
+  // Citation catalog entries matching formatGeoContext()'s references; `field` points into geo.payload
+  geoCitations(geo) {
+    if (!geo.payload) return [];
+    const { answer, policies, sources } = geo.payload;
+    const start = answer ? 2 : 1;
+    return [
+      ...(answer ? [{ ref: 'G1', type: 'geo', field: 'answer', title: 'Geo/policy service answer', url: sources[0]?.url || null }] : []),
+      ...policies.map((p, i) => ({ ref: `G${start + i}`, type: 'geo', field: `policies[${i}]`, title: p.title, url: p.url, region: p.region, status: p.status }))
+    ];
+  }
+
+  /**
+   * Prompt parts for promptBuilder.build(). The conversation and career insights
+   * are funded first; long insights are summarized rather than cut, and news,
+   * policies and geo entries are dropped whole from the end.
+   */
+  buildConsolidationPrompt({ question, careerAdvice, policyContext = 'No matching policies in the policy store.', geoContext = '', trending, newsContext = 'No relevant articles retrieved.', history = '' }) {
+    return promptBuilder.parts`You are a Grwogle - a senior career adviser.
+
+INTENT CHECK (do this first):
+${history ? `- This is a follow-up in an ongoing conversation (see CONVERSATION SO FAR). Short questions like "why?", "what about the UK?" or "and for juniors?" continue it: answer them in that context and skip the greeting check below.
+` : ''}- If the QUESTION is a greeting or not a specific query (for example, fewer than ~6 words and no clear ask), return a very short plain-text guidance message and STOP. Keep it to 2-4 lines, like:
+  Hi! Ask a specific career or market question and I'll consolidate signals (news + geo/policy) into one clear answer.
+  Examples: What are the top risks and mitigations for AI adoption in India? Which 3 skills should a <role> focus on over the next 6 months and why?
+  You can also ask about how upcoming data protection rules affect hiring for <role> in India.
+
+Otherwise, produce ONE unified, cohesive plain-text answer that blends all available signals.
+
+${history ? promptBuilder.parts`CONVERSATION SO FAR:
+${promptBuilder.section('history', history, { priority: 6, strategy: 'start' })}
+
+` : ''}QUESTION: ${question}
+
+CAREER INSIGHTS (market & skill guidance):
+${promptBuilder.section('careerAdvice', careerAdvice, { priority: 5, maxTokens: 1500, minTokens: 200, strategy: 'summarize' })}
+
+POLICIES AND REGULATIONS:
+${promptBuilder.section('policies', policyContext, { priority: 4, maxTokens: 1200, strategy: 'lines' })}
+${geoContext ? promptBuilder.parts`
+GEO/POLICY SERVICE:
+${promptBuilder.section('geo', geoContext, { priority: 3, maxTokens: 1500, strategy: 'lines' })}
+` : ''}
+RELEVANT NEWS ARTICLES:
+${promptBuilder.section('news', newsContext, { priority: 4, maxTokens: 2000, strategy: 'blocks' })}
+
+TOP TRENDING SKILLS:
+${promptBuilder.section('trends', careerInsightsService.formatTrends(trending.slice(0, 10)) || 'None', { priority: 1, maxTokens: 200 })}
+
+INSTRUCTIONS FOR THE UNIFIED ANSWER:
+- Return ONLY a single consolidated answer (no headings, no bullet lists, no numbered sections, no labels like 'Direct Answer:' etc.).
+- Weave together market signals, geo/policy context, risks, mitigations, and 5-8 concrete recommendations inline (short sentences separated by periods or semicolons are fine).
+${history ? `- Build on the earlier answers instead of repeating them, and keep recommendations consistent with them unless new information changes them.
+` : ''}- Use policy status, effective dates and deadlines as given; never invent dates. If no policy data is available, acknowledge briefly once and continue with what is known.
+- Focus on specifics for India where relevant (regulations, data protection, workforce skill gaps) without overgeneralizing.
+- Mention the most relevant trending skills naturally (not as a list) where they reinforce recommendations.
+- Cite sources inline: end each paragraph or recommendation with the references it relies on, e.g. [A1] for a news article, [P2] for a policy, [G1] for the geo/policy service, [T3] for a trending skill, or several as [A1, P2]. Keep references that appear in the career insights, use only references listed above and never invent new ones; leave statements without a source unmarked.
+- Avoid filler, self-reference, disclaimers, markdown, bullets, or section titles.
+- Output should read like a concise expert briefing; use one or more paragraphs but keep it a single unified narrative.`;
+  }
+}
+
+export default new ExploreService();
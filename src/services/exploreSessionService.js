@@ -0,0 +1,194 @@
+import documentStore from '../storage/documentStore.js';
+import geminiClient from '../vertexclient/geminiClient.js';
+import profileNormalizer from '../utils/profileNormalizer.js';
+import promptBuilder from '../utils/promptBuilder.js';
+import HttpError from '../utils/httpError.js';
+
+const SESSIONS = 'exploreSessions';
+// Token budget for the verbatim recent turns in the prompt; older turns are folded into a summary
+const EXPLORE_HISTORY_TOKENS = Number(process.env.EXPLORE_HISTORY_TOKENS || 1500);
+const EXPLORE_SUMMARY_TOKENS = Number(process.env.EXPLORE_SUMMARY_TOKENS || 300);
+// How long follow-ups reuse the career insights, retrieved articles and geo answer of earlier turns
+const EXPLORE_CONTEXT_TTL_MS = Number(process.env.EXPLORE_CONTEXT_TTL_MS || 60 * 60 * 1000);
+const EXPLORE_SESSIONS_MAX = Number(process.env.EXPLORE_SESSIONS_MAX || 500);
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Conversation state for /api/explore: the message history, a running summary
+ * of turns that no longer fit EXPLORE_HISTORY_TOKENS, and the context computed
+ * by the first turn (career insights, retrieved articles, geo answer) so
+ * follow-ups can build on it instead of recomputing it.
+ */
+class ExploreSessionService {
+  /**
+   * @param {Object} params - { limit, profileId }
+   * @returns {Promise<{ sessions, count }>} newest activity first, without messages
+   */
+  async listSessions({ limit, profileId } = {}) {
+    const max = Math.min(Math.max(Number.parseInt(limit) || 20, 1), MAX_LIST_LIMIT);
+    const sessions = (await documentStore.list(SESSIONS, s => !profileId || s.profile?.profileId === profileId))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, max)
+      .map(session => this.toSummary(session));
+    return { sessions, count: sessions.length };
+  }
+
+  async getSession(id) {
+    const session = await documentStore.get(SESSIONS, id);
+    if (!session) throw new HttpError(404, `Explore session ${id} not found`);
+    return session;
+  }
+
+  async deleteSession(id) {
+    const deleted = await documentStore.remove(SESSIONS, id);
+    if (!deleted) throw new HttpError(404, `Explore session ${id} not found`);
+    return { id, deleted: true };
+  }
+
+  // New session for a first question; the least recently used sessions beyond EXPLORE_SESSIONS_MAX are dropped
+  async createSession(profile, question) {
+    const sessions = await documentStore.list(SESSIONS);
+    if (sessions.length >= EXPLORE_SESSIONS_MAX) {
+      const stale = new Set(sessions
+        .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+        .slice(0, sessions.length - EXPLORE_SESSIONS_MAX + 1)
+        .map(s => s.id));
+      await documentStore.removeWhere(SESSIONS, s => stale.has(s.id));
+    }
+    return documentStore.insert(SESSIONS, {
+      title: question.slice(0, 120),
+      profile,
+      messages: [],
+      summary: '',
+      summarizedCount: 0,
+      context: null
+    });
+  }
+
+  /**
+   * Profile for a follow-up: the session's own unless the request names a
+   * profileId or profile fields.
+   */
+  hasProfileInput(input = {}) {
+    return Boolean(input.profileId || input.profile?.profileId) || Object.keys(profileNormalizer.provided(input)).length > 0;
+  }
+
+  /**
+   * Context from earlier turns that a follow-up may reuse: none after
+   * `refresh`, a profile change or EXPLORE_CONTEXT_TTL_MS. Failed career or
+   * geo results are left out so they are retried.
+   * @returns {{ retrieval, careerData, geo }|null}
+   */
+  reusableContext(session, profile, { refresh = false } = {}) {
+    const context = session.context;
+    if (refresh || !context) return null;
+    if (Date.now() - Date.parse(context.computedAt) > EXPLORE_CONTEXT_TTL_MS) return null;
+    if (this.profileKey(profile) !== this.profileKey(session.profile)) return null;
+    return {
+      retrieval: context.retrieval,
+      careerData: context.careerData?.success ? context.careerData : null,
+      geo: context.geo?.status === 'ok' ? context.geo : null
+    };
+  }
+
+  // Earlier questions, most recent first; used to carry regions and topics into short follow-ups
+  priorQuestions(session, count = 2) {
+    return session.messages.filter(m => m.role === 'user').slice(-count).reverse().map(m => m.content);
+  }
+
+  /**
+   * Conversation block for the prompt: the summary of older turns plus the
+   * recent messages that fit EXPLORE_HISTORY_TOKENS. Messages that no longer
+   * fit are summarized first (and the summary stored on the session).
+   * @returns {Promise<string>} empty for a new session
+   */
+  async history(session) {
+    const { messages } = session;
+    if (messages.length === 0) return '';
+
+    // Walk back from the newest message; the last turn (question + answer) is always kept
+    let used = 0;
+    let keepFrom = messages.length;
+    for (let i = messages.length - 1; i >= session.summarizedCount; i--) {
+      const cost = promptBuilder.countTokens(messages[i].content);
+      if (used + cost > EXPLORE_HISTORY_TOKENS && messages.length - i > 2) break;
+      used += cost;
+      keepFrom = i;
+    }
+
+    if (keepFrom > session.summarizedCount) {
+      const summary = await this.summarize(session.summary, messages.slice(session.summarizedCount, keepFrom));
+      Object.assign(session, await documentStore.update(SESSIONS, session.id, { summary, summarizedCount: keepFrom }));
+    }
+
+    const recent = messages.slice(keepFrom).map(m => `${m.role === 'user' ? 'USER' : 'ADVISER'}: ${promptBuilder.truncate(m.content, EXPLORE_HISTORY_TOKENS)}`);
+    return [
+      session.summary ? `Summary of earlier conversation: ${session.summary}` : '',
+      ...recent
+    ].filter(Boolean).join('\n\n');
+  }
+
+  // Fold older messages into the running summary; falls back to the questions alone if the model fails
+  async summarize(previous, messages) {
+    const transcript = messages.map(m => `${m.role === 'user' ? 'USER' : 'ADVISER'}: ${m.content}`).join('\n\n');
+    const { prompt } = await promptBuilder.build(promptBuilder.parts`Update the running summary of a career advice conversation with the new messages.
+Keep the user's goals, constraints, regions and roles mentioned, and the adviser's key recommendations, policies and dates.
+Plain text, no lists, at most ${Math.round(EXPLORE_SUMMARY_TOKENS * 0.75)} words.
+
+CURRENT SUMMARY:
+${previous || 'None'}
+
+NEW MESSAGES:
+${promptBuilder.section('messages', transcript, { maxTokens: EXPLORE_HISTORY_TOKENS * 2 })}`, { outputTokens: EXPLORE_SUMMARY_TOKENS * 2 });
+
+    try {
+      const { text } = await geminiClient.generateContent(prompt, { temperature: 0.2, maxTokens: EXPLORE_SUMMARY_TOKENS * 2 });
+      if (text?.trim()) return text.trim();
+    } catch (error) {
+      console.warn('Explore history summarization failed:', error.message);
+    }
+    const questions = messages.filter(m => m.role === 'user').map(m => m.content.slice(0, 200));
+    return promptBuilder.truncate([previous, questions.length ? `Earlier questions: ${questions.join('; ')}` : ''].filter(Boolean).join(' '), EXPLORE_SUMMARY_TOKENS, 'start');
+  }
+
+  /**
+   * Append a question and its answer. A turn that computed fresh context stores
+   * it for follow-ups; reused career insights keep their original age. The
+   * messages are appended to the stored session, not to `session`, so turns
+   * answered concurrently are all kept.
+   * @param {Object} session
+   * @param {Object} turn - { question, answer, profile, sources, policies, context, reused } (see exploreService.explore)
+   */
+  async recordTurn(session, { question, answer, profile, sources = [], policies = [], context = null, reused = {} }) {
+    const at = new Date().toISOString();
+    const turn = [
+      { role: 'user', content: question, at },
+      { role: 'assistant', content: answer, at, sources: sources.filter(s => s.cited).map(({ ref, id, title, url }) => ({ ref, id, title, url })), policies: policies.map(p => p.id) }
+    ];
+    return documentStore.update(SESSIONS, session.id, current => {
+      const patch = { messages: [...current.messages, ...turn], profile };
+      if (context && !(reused.career && reused.geo)) {
+        patch.context = { ...context, computedAt: reused.career ? session.context.computedAt : at };
+      }
+      return patch;
+    });
+  }
+
+  toSummary(session) {
+    return {
+      id: session.id,
+      title: session.title,
+      turns: session.messages.filter(m => m.role === 'user').length,
+      profileId: session.profile?.profileId || null,
+      lastQuestion: this.priorQuestions(session, 1)[0] || null,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  profileKey(profile = {}) {
+    return JSON.stringify(profileNormalizer.fields.map(f => profile[f] ?? null));
+  }
+}
+
+export default new ExploreSessionService();
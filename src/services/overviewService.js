@@ -1,11 +1,19 @@
-import bigqueryClient from '../gcpclient/bigqueryClient.js';
+import storageClient from '../storage/storageClient.js';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import textMatcher from '../utils/textMatcher.js';
+import policyService from './policyService.js';
+
+// Whole-word signals looked up in article tags (a tag like "business" no longer reads as "us")
+const HIGH_IMPACT_SIGNALS = textMatcher.compile([
+  { key: 'high', phrases: ['regulation', 'regulations', 'policy', 'policies', 'visa', 'immigration', 'h1b', 'opt', 'ai', 'genai', 'layoff', 'layoffs', 'funding', 'merger', 'mergers'] }
+]);
 
 class OverviewService {
   /**
    * @param {Object} prefs
    * @param {string} [prefs.role]
-   * @param {string} [prefs.skills] - comma-separated
-   * @param {string} [prefs.interests] - comma-separated
+   * @param {string|string[]} [prefs.skills] - comma-separated or list
+   * @param {string|string[]} [prefs.interests] - comma-separated or list
    * @param {number} [prefs.days] - lookback window
    * @param {number} [prefs.limit] - items per section
    */
@@ -28,24 +36,12 @@ class OverviewService {
     const keywordsFromUserQuery = this.splitCsv(userQuery).map(s => s.toLowerCase());
     const keywords = (keywordsFromUserQuery.length > 0 ? keywordsFromUserQuery : keywordsDerived);
 
-    // Build policy/regulation keywords tailored to user interests and role
-    const policyBase = [
-      'policy','regulation','government','law',
-      'visa','immigration','work permit','student visa','h1b','opt','stem opt',
-      'compliance','licensing','certification','accreditation',
-      'data privacy','gdpr','hipaa','ferpa',
-      'export control','sanction','tariff',
-      'grant','scholarship','financial aid'
-    ];
-    const interestTokens = interests.map(i => i.toLowerCase());
-    const roleTokens = role.toLowerCase().split(/\s+/).filter(Boolean);
-    const policyFromUser = this.splitCsv(userPolicy).map(s => s.toLowerCase());
-    const policyKeywords = Array.from(new Set([
-      ...(policyFromUser.length > 0 ? policyFromUser : []),
-      ...(policyFromUser.length === 0 ? policyBase : []),
-      ...(policyFromUser.length === 0 ? interestTokens : []),
-      ...(policyFromUser.length === 0 ? roleTokens : [])
-    ])).slice(0, 24);
+    // Policies from the policy store: an explicit policy query must match, otherwise
+    // interests, skills and role only rank them
+    const policyFromUser = this.splitCsv(userPolicy);
+    const policySearch = policyFromUser.length > 0
+      ? { text: policyFromUser.join(' '), role, requireMatch: true }
+      : { text: [...interests, ...likedSkills].join(' '), role };
 
     // Emerging tech keywords: prefer user-provided, else defaults
     const emergingDefaults = [
@@ -91,15 +87,15 @@ class OverviewService {
       sources,
       volumeByDay
     ] = await Promise.all([
-      bigqueryClient.queryTopSkillsFiltered(days, limit, []),
-      bigqueryClient.queryTopSkillsFiltered(days, limit, likedSkills),
-      bigqueryClient.queryArticlesByKeywords(keywords, days, limit),
-      bigqueryClient.queryTopSources(days, limit),
-  bigqueryClient.queryArticlesByTags(likedSkills, days, Math.min(limit, 10)),
-  bigqueryClient.queryArticlesByKeywords(policyKeywords, days, Math.min(limit, 10)),
-  bigqueryClient.queryArticlesByKeywords(emergingKeywords, days, Math.min(limit, 10)),
-      bigqueryClient.queryTopSources(days, 5),
-      bigqueryClient.queryVolumeByDay(days)
+      storageClient.queryTopSkillsFiltered(days, limit, []),
+      storageClient.queryTopSkillsFiltered(days, limit, likedSkills),
+      storageClient.queryArticlesByKeywords(keywords, days, limit),
+      storageClient.queryTopSources(days, limit),
+  storageClient.queryArticlesByTags(likedSkills, days, Math.min(limit, 10)),
+  policyService.search({ ...policySearch, limit: Math.min(limit, 10) }),
+  storageClient.queryArticlesByKeywords(emergingKeywords, days, Math.min(limit, 10)),
+      storageClient.queryTopSources(days, 5),
+      storageClient.queryVolumeByDay(days)
     ]);
 
     // Shape industry news to requested structure
@@ -110,7 +106,11 @@ class OverviewService {
       date: this.toRelativeTime(item.published_at || item.publishedAt),
       category: this.inferCategory(item.tags),
       impact: this.inferImpact(item.tags, false),
-      summary: (item.body || '').trim()
+      summary: (item.body || '').trim(),
+      url: item.url || null,
+      author: item.author || null,
+      imageUrl: item.image_url || null,
+      content: item.content || null
     });
 
     const industryPersonalShaped = Array.isArray(industryNewsPersonal)
@@ -121,14 +121,18 @@ class OverviewService {
       : [];
 
     // Shape government policies to requested structure
-    const formatPolicyItem = (item) => ({
-      title: item.title,
-      region: this.inferRegion(item.tags) || 'Global',
-      status: 'Active',
-      impact: this.inferImpact(item.tags, true),
-      description: (item.body || '').trim(),
-      deadline: null,
-      relevantRoles: this.inferRelevantRoles(item.tags)
+    const formatPolicyItem = (policy) => ({
+      id: policy.id,
+      title: policy.title,
+      region: policy.region,
+      status: this.titleCase(policy.status),
+      impact: this.inferPolicyImpact(policy),
+      description: policy.summary,
+      effectiveDate: policy.effectiveDate,
+      deadline: policy.deadline,
+      relevantRoles: policy.affectedRoles,
+      source: policy.source,
+      url: policy.url
     });
     const govPoliciesShaped = Array.isArray(govPolicies)
       ? govPolicies.map(formatPolicyItem)
@@ -164,8 +168,8 @@ class OverviewService {
 
   splitCsv(value) {
     if (!value) return [];
-    return value
-      .split(',')
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(String)
       .map(s => s.trim())
       .filter(Boolean)
       .slice(0, 20);
@@ -220,47 +224,30 @@ class OverviewService {
 
   inferCategory(tags = []) {
     if (!Array.isArray(tags) || tags.length === 0) return 'General';
-    const t = tags.map(x => String(x).toLowerCase());
-    if (t.some(x => x.includes('ai') || x.includes('ml') || x.includes('genai') || x.includes('llm'))) return 'AI/ML';
-    if (t.some(x => x.includes('cloud') || x.includes('aws') || x.includes('azure') || x.includes('gcp'))) return 'Cloud';
-    if (t.some(x => x.includes('security') || x.includes('cyber'))) return 'Security';
-    if (t.some(x => x.includes('data'))) return 'Data';
+    const category = skillTaxonomy.categoryOf(tags);
+    if (category) return category;
     return this.titleCase(tags[0].toString().replace(/[-_]/g, ' '));
   }
 
   inferImpact(tags = [], isPolicy = false) {
-    const t = Array.isArray(tags) ? tags.map(x => String(x).toLowerCase()) : [];
-    const highSignals = ['regulation','policy','visa','immigration','h1b','opt','ai','genai','layoff','funding','merger'];
-    if (t.some(x => highSignals.some(sig => x.includes(sig)))) return 'High';
+    if (this.matchTags(HIGH_IMPACT_SIGNALS, tags).length > 0) return 'High';
     if (isPolicy) return 'Medium';
     return 'Medium';
   }
 
-  inferRegion(tags = []) {
-    const t = Array.isArray(tags) ? tags.map(x => String(x).toLowerCase()) : [];
-    if (t.some(x => x.includes('us') || x.includes('usa') || x.includes('america'))) return 'United States';
-    if (t.some(x => x.includes('india') || x.includes('in'))) return 'India';
-    if (t.some(x => x.includes('eu') || x.includes('europe'))) return 'European Union';
-    if (t.some(x => x.includes('uk') || x.includes('britain'))) return 'United Kingdom';
-    return null;
+  // High when the tags carry a high-impact signal or a deadline / effective date is within 90 days
+  inferPolicyImpact(policy) {
+    const today = new Date();
+    const soon = new Date(today.getTime() + 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const now = today.toISOString().slice(0, 10);
+    const imminent = [policy.deadline, policy.effectiveDate].some(date => date && date >= now && date <= soon);
+    return imminent ? 'High' : this.inferImpact([...policy.tags, policy.title], true);
   }
 
-  inferRelevantRoles(tags = []) {
-    const t = Array.isArray(tags) ? tags.map(x => String(x).toLowerCase()) : [];
-    const roles = new Set();
-    if (t.some(x => x.includes('ai') || x.includes('ml') || x.includes('genai'))) {
-      roles.add('AI Engineer');
-      roles.add('Data Scientist');
-    }
-    if (t.some(x => x.includes('policy') || x.includes('regulation') || x.includes('compliance'))) {
-      roles.add('Compliance Officer');
-      roles.add('Policy Analyst');
-    }
-    if (t.some(x => x.includes('visa') || x.includes('immigration'))) {
-      roles.add('International Student');
-      roles.add('Software Engineer');
-    }
-    return Array.from(roles);
+  // Signal keys found in any tag; each tag is matched on its own words
+  matchTags(matcher, tags = []) {
+    if (!Array.isArray(tags)) return [];
+    return Array.from(new Set(tags.flatMap(tag => matcher.match(String(tag)))));
   }
 
   titleCase(s) {
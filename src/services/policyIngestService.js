@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import RssFeedSource from '../sources/rssFeedSource.js';
+import JsonFeedSource from '../sources/jsonFeedSource.js';
+import policyService from './policyService.js';
+import policyExtractor from '../utils/policyExtractor.js';
+import HttpError from '../utils/httpError.js';
+
+const DEFAULT_SOURCES_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../config/policySources.json');
+const POLICY_SOURCES_PATH = process.env.POLICY_SOURCES_PATH || DEFAULT_SOURCES_PATH;
+const DOCUMENT_EXTENSIONS = new Set(['.json', '.yaml', '.yml', '.md', '.txt']);
+const MAX_DOCUMENTS = 500;
+
+const feedTypes = {
+  rss: config => new RssFeedSource(config),
+  atom: config => new RssFeedSource(config),
+  json: config => new JsonFeedSource(config)
+};
+const SOURCE_TYPES = ['file', ...Object.keys(feedTypes)];
+
+/**
+ * Fills the policy store from the sources configured in POLICY_SOURCES_PATH
+ * (JSON or YAML, `{ sources: [...] }`):
+ * - `file`: a file or directory (`path`) of JSON/YAML policy records, or
+ *   Markdown/text documents with optional YAML front matter
+ * - `rss` / `atom` / `json`: feeds of press releases or policy APIs, same
+ *   options as news feeds; JSON `fields` may also map effectiveDate, deadline,
+ *   status, region and affectedRoles
+ * Every source may set a default `region` and `source` name for its records.
+ */
+class PolicyIngestService {
+  constructor() {
+    this.sources = null;
+  }
+
+  load() {
+    if (this.sources) return this.sources;
+
+    let raw = { sources: [] };
+    try {
+      const text = readFileSync(POLICY_SOURCES_PATH, 'utf8');
+      raw = /\.ya?ml$/i.test(POLICY_SOURCES_PATH) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+      console.warn(`Could not load policy sources from ${POLICY_SOURCES_PATH}:`, error.message);
+    }
+
+    this.sources = new Map();
+    for (const source of raw?.sources || []) {
+      const name = String(source?.name || '').trim().toLowerCase();
+      const type = String(source?.type || '').toLowerCase();
+      if (!name || !SOURCE_TYPES.includes(type) || !(type === 'file' ? source.path : source.url)) {
+        console.warn(`Skipping policy source ${JSON.stringify(source?.name || source)}: needs name, type (${SOURCE_TYPES.join(', ')}) and path or url`);
+      } else if (this.sources.has(name)) {
+        console.warn(`Skipping duplicate policy source '${name}'`);
+      } else {
+        this.sources.set(name, { ...source, name, type });
+      }
+    }
+    return this.sources;
+  }
+
+  listSources() {
+    return Array.from(this.load().values()).map(({ name, type, path: filePath, url, region, source, description }) => ({
+      name,
+      type,
+      ...(type === 'file' ? { path: filePath } : { url }),
+      region: region || null,
+      source: source || null,
+      description: description || null
+    }));
+  }
+
+  /**
+   * Ingest configured sources (all when `sources` is empty) and/or documents
+   * sent with the request. A failing source is reported without stopping the others.
+   * @param {Object} params - { sources?: string[]|string, documents?: Object[] }
+   * @returns {Promise<{ success, inserted, updated, unchanged, skipped, sources }>}
+   */
+  async ingest({ sources: names, documents } = {}) {
+    if (documents !== undefined && !Array.isArray(documents)) {
+      throw new HttpError(400, "'documents' must be an array of policy records");
+    }
+    if (documents?.length > MAX_DOCUMENTS) {
+      throw new HttpError(400, `At most ${MAX_DOCUMENTS} documents per request`);
+    }
+    const invalid = (documents || []).map((doc, i) => (doc && typeof doc === 'object' && !Array.isArray(doc) ? null : i)).filter(i => i !== null);
+    if (invalid.length) {
+      throw new HttpError(400, `Each document must be an object; invalid at index ${invalid.join(', ')}`);
+    }
+
+    const selected = this.resolve(names, { all: !documents?.length });
+    const batches = [];
+    const report = {};
+    for (const name of selected) {
+      try {
+        const docs = await this.readSource(this.load().get(name));
+        batches.push({ name, docs, defaults: this.load().get(name) });
+        report[name] = { found: docs.length };
+      } catch (error) {
+        console.warn(`Policy source '${name}' failed:`, error.message);
+        report[name] = { found: 0, error: error.message };
+      }
+    }
+    if (documents?.length) {
+      batches.push({ name: 'request', docs: documents, defaults: {} });
+      report.request = { found: documents.length };
+    }
+
+    const policies = [];
+    let skipped = 0;
+    for (const { name, docs, defaults } of batches) {
+      for (const doc of docs) {
+        const policy = policyExtractor.extract(doc, defaults);
+        if (policy) policies.push({ ...policy, ingestSource: name });
+        else skipped++;
+      }
+    }
+
+    const { inserted, updated, unchanged } = await policyService.upsertPolicies(policies);
+    console.log(`Ingested ${policies.length} policies (${inserted} new, ${updated} updated, ${skipped} skipped)`);
+    return { success: true, inserted, updated, unchanged, skipped, sources: report };
+  }
+
+  // Names (array or comma-separated) of configured sources; empty selects all unless documents were sent
+  resolve(names, { all = true } = {}) {
+    const wanted = (Array.isArray(names) ? names : String(names || '').split(','))
+      .map(s => String(s).trim().toLowerCase()).filter(Boolean);
+    if (wanted.length === 0) return all ? Array.from(this.load().keys()) : [];
+    const unknown = wanted.filter(name => !this.load().has(name));
+    if (unknown.length) {
+      throw new HttpError(400, `Unknown policy source(s): ${unknown.join(', ')}. Available: ${Array.from(this.load().keys()).join(', ') || 'none'}`);
+    }
+    return Array.from(new Set(wanted));
+  }
+
+  async readSource(source) {
+    if (source.type === 'file') return this.readPath(path.resolve(source.path));
+
+    const items = await feedTypes[source.type](source).fetchItems(source.query || '');
+    return items.map(item => ({
+      title: item.title,
+      summary: item.description,
+      text: item.content,
+      url: item.url,
+      publishedAt: item.publishedAt,
+      source: source.source || item.source?.name || null,
+      ...Object.fromEntries(Object.entries(item.extra || {}).filter(([, value]) => value !== null && value !== ''))
+    }));
+  }
+
+  // Policy records from a file, or from every supported file in a directory
+  async readPath(target) {
+    const stat = await fs.stat(target);
+    if (stat.isDirectory()) {
+      const entries = (await fs.readdir(target)).filter(file => DOCUMENT_EXTENSIONS.has(path.extname(file).toLowerCase())).sort();
+      const docs = await Promise.all(entries.map(file => this.readFile(path.join(target, file))));
+      return docs.flat();
+    }
+    return this.readFile(target);
+  }
+
+  async readFile(file) {
+    const text = await fs.readFile(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.json' || ext === '.yaml' || ext === '.yml') {
+      const data = ext === '.json' ? JSON.parse(text) : yaml.load(text);
+      const records = Array.isArray(data) ? data : data?.policies || [data];
+      return records.filter(record => record && typeof record === 'object');
+    }
+    return [this.parseDocument(text, path.basename(file, ext))];
+  }
+
+  // Markdown/text document: YAML front matter for explicit fields, first heading or line as title
+  parseDocument(text, fallbackTitle) {
+    let meta = {};
+    let body = text;
+    const frontMatter = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (frontMatter) {
+      meta = yaml.load(frontMatter[1]) || {};
+      body = text.slice(frontMatter[0].length);
+    }
+    const lines = body.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const heading = meta.title ? null : lines.shift();
+    const paragraphs = lines.map(line => line.replace(/^#+\s*/, ''));
+    return {
+      ...meta,
+      title: meta.title || (heading ? heading.replace(/^#+\s*/, '') : fallbackTitle),
+      summary: meta.summary || paragraphs[0] || '',
+      text: paragraphs.join(' ')
+    };
+  }
+}
+
+export default new PolicyIngestService();
@@ -0,0 +1,201 @@
+import documentStore from '../storage/documentStore.js';
+import articleDeduper from '../utils/articleDeduper.js';
+import policyExtractor from '../utils/policyExtractor.js';
+import regionMatcher from '../utils/regionMatcher.js';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import textMatcher from '../utils/textMatcher.js';
+import HttpError from '../utils/httpError.js';
+
+const POLICIES = 'policies';
+const MAX_LIMIT = 100;
+// Fields compared on re-ingest; a change in any of them counts as an update
+const POLICY_FIELDS = ['title', 'summary', 'url', 'source', 'region', 'status', 'effectiveDate', 'deadline', 'affectedRoles', 'tags', 'publishedAt'];
+// Statuses left out of searches unless asked for
+const INACTIVE = new Set(['expired', 'withdrawn']);
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'should', 'the', 'to', 'what', 'which', 'will', 'with']);
+
+/**
+ * Policy store: government policies, regulations and press releases with
+ * region, status, effective date, deadline and affected roles. Records live
+ * in the document store and are written by policyIngestService; explore and
+ * the overview read them through search().
+ */
+class PolicyService {
+  /**
+   * Insert or update extracted policies, keyed by URL (or source + title).
+   * @param {Object[]} policies - policyExtractor.extract() results
+   * @returns {Promise<{ inserted, updated, unchanged }>}
+   */
+  async upsertPolicies(policies = []) {
+    let inserted = 0;
+    let updated = 0;
+    for (const policy of policies) {
+      const id = articleDeduper.articleId(policy);
+      const current = await documentStore.get(POLICIES, id);
+      if (!current) {
+        await documentStore.insert(POLICIES, { id, ...policy, ingestSource: policy.ingestSource || null });
+        inserted++;
+      } else if (POLICY_FIELDS.some(f => JSON.stringify(current[f] ?? null) !== JSON.stringify(policy[f] ?? null))) {
+        await documentStore.update(POLICIES, id, Object.fromEntries(POLICY_FIELDS.map(f => [f, policy[f] ?? null])));
+        updated++;
+      }
+    }
+    return { inserted, updated, unchanged: policies.length - inserted - updated };
+  }
+
+  /**
+   * @param {Object} params - { region, status, role, q, limit }
+   * @returns {Promise<{ policies, count, filters }>}
+   */
+  async listPolicies(params = {}) {
+    const filters = this.parseFilters(params);
+    const limit = Math.min(Math.max(Number.parseInt(params.limit) || 20, 1), MAX_LIMIT);
+    const terms = filters.q ? this.termMatcher(filters.q) : null;
+
+    const policies = (await documentStore.list(POLICIES))
+      .map(doc => this.toPolicy(doc))
+      .filter(policy => this.matchesFilters(policy, filters))
+      .filter(policy => !terms || this.score(policy, terms) > 0)
+      .sort((a, b) => this.timeOf(b).localeCompare(this.timeOf(a)))
+      .slice(0, limit);
+
+    return { policies, count: policies.length, filters };
+  }
+
+  async getPolicy(id) {
+    const doc = await documentStore.get(POLICIES, id);
+    if (!doc) throw new HttpError(404, 'Policy not found');
+    return this.toPolicy(doc);
+  }
+
+  async deletePolicy(id) {
+    const deleted = await documentStore.remove(POLICIES, id);
+    if (!deleted) throw new HttpError(404, 'Policy not found');
+    return { id, deleted: true };
+  }
+
+  /**
+   * Policies relevant to a question or profile, best first: query term hits
+   * (title counts double), plus a bonus for the wanted regions and role.
+   * With `regions`, only those regions and 'Global' are returned; expired and
+   * withdrawn policies are skipped.
+   *
+   * @param {Object} params
+   * @param {string} [params.text] - free text (question, interests)
+   * @param {string[]} [params.regions] - region names
+   * @param {string} [params.role]
+   * @param {boolean} [params.requireMatch] - drop policies that match no query term
+   * @param {number} [params.limit]
+   */
+  async search({ text = '', regions = [], role = '', requireMatch = false, limit = 5 } = {}) {
+    const matcher = this.termMatcher(text);
+    const wantedRegions = new Set(regions);
+    const roleKey = role.trim().toLowerCase();
+
+    return (await documentStore.list(POLICIES))
+      .map(doc => this.toPolicy(doc))
+      .filter(policy => !INACTIVE.has(policy.status))
+      .filter(policy => wantedRegions.size === 0 || policy.region === 'Global' || wantedRegions.has(policy.region))
+      .map(policy => {
+        const terms = this.score(policy, matcher);
+        const roleHit = roleKey && policy.affectedRoles.some(r => r.toLowerCase().includes(roleKey) || roleKey.includes(r.toLowerCase()));
+        return { policy, terms, score: terms + (wantedRegions.has(policy.region) ? 2 : 0) + (roleHit ? 1 : 0) };
+      })
+      .filter(({ terms }) => !requireMatch || !matcher || terms > 0)
+      .sort((a, b) => b.score - a.score || this.deadlineOrder(a.policy, b.policy) || this.timeOf(b.policy).localeCompare(this.timeOf(a.policy)))
+      .slice(0, limit)
+      .map(({ policy }) => policy);
+  }
+
+  // Prompt section listing policies under their [P1]... references (or another prefix)
+  formatContext(policies = [], prefix = 'P', start = 1) {
+    if (policies.length === 0) return 'No matching policies in the policy store.';
+    return policies.map((p, i) => {
+      const facts = [
+        p.region,
+        p.status,
+        p.effectiveDate ? `effective ${p.effectiveDate}` : null,
+        p.deadline ? `deadline ${p.deadline}` : null,
+        p.affectedRoles.length ? `affects ${p.affectedRoles.join(', ')}` : null
+      ].filter(Boolean).join('; ');
+      return `[${prefix}${start + i}] ${p.title} (${facts})${p.source ? ` [${p.source}]` : ''}\n  ${p.summary.slice(0, 400)}`;
+    }).join('\n');
+  }
+
+  // Citation catalog entries matching formatContext()'s references
+  citable(policies = [], prefix = 'P', start = 1) {
+    return policies.map((p, i) => ({ ref: `${prefix}${start + i}`, type: 'policy', id: p.id || null, title: p.title, url: p.url, region: p.region, status: p.status }));
+  }
+
+  // Stored record with the status as of today
+  toPolicy(doc) {
+    return {
+      id: doc.id,
+      title: doc.title,
+      summary: doc.summary || '',
+      url: doc.url || null,
+      source: doc.source || null,
+      region: doc.region || 'Global',
+      status: policyExtractor.currentStatus(doc),
+      effectiveDate: doc.effectiveDate || null,
+      deadline: doc.deadline || null,
+      affectedRoles: doc.affectedRoles || [],
+      tags: doc.tags || [],
+      publishedAt: doc.publishedAt || null,
+      ingestSource: doc.ingestSource || null,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    };
+  }
+
+  parseFilters(params) {
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(s => String(s).trim()).filter(Boolean);
+
+    // Known regions by name or code ("IN", "eu"); other names (e.g. "Global", "Canada") as given
+    const regions = list(params.region).map(name => regionMatcher.resolve(name) || name);
+    const statuses = list(params.status).map(s => s.toLowerCase());
+    const unknown = statuses.filter(s => !policyExtractor.statuses.includes(s));
+    if (unknown.length) throw new HttpError(400, `status must be one of: ${policyExtractor.statuses.join(', ')}`);
+
+    return { regions, statuses, role: String(params.role || '').trim() || null, q: String(params.q || '').trim() || null };
+  }
+
+  matchesFilters(policy, { regions, statuses, role }) {
+    if (regions.length && !regions.some(region => region.toLowerCase() === policy.region.toLowerCase())) return false;
+    if (statuses.length && !statuses.includes(policy.status)) return false;
+    if (role && !policy.affectedRoles.some(r => r.toLowerCase().includes(role.toLowerCase()))) return false;
+    return true;
+  }
+
+  // Matcher for the query words (without stopwords) and the skills they name; null when nothing is left
+  termMatcher(text) {
+    const skills = skillTaxonomy.matchText(text).map(name => skillTaxonomy.lookup(name));
+    const terms = [
+      ...textMatcher.tokenize(text).filter(token => !STOPWORDS.has(token) && token.length > 1).map(token => ({ key: token, phrases: [token] })),
+      ...skills.map(skill => ({ key: skill.name, phrases: [skill.name, skill.label, ...skill.aliases] }))
+    ];
+    return terms.length ? textMatcher.compile(terms) : null;
+  }
+
+  // Distinct terms found in the title (counted twice) and in the summary, tags and roles
+  score(policy, matcher) {
+    if (!matcher) return 0;
+    const title = matcher.match(policy.title).length;
+    const rest = matcher.match(`${policy.summary} ${policy.tags.join(' ')} ${policy.affectedRoles.join(' ')}`).length;
+    return title * 2 + rest;
+  }
+
+  // Nearest upcoming deadline first; past or missing deadlines after
+  deadlineOrder(a, b) {
+    const today = new Date().toISOString().slice(0, 10);
+    const key = p => (p.deadline && p.deadline >= today ? p.deadline : '9999');
+    return key(a).localeCompare(key(b));
+  }
+
+  timeOf(policy) {
+    return policy.effectiveDate || policy.publishedAt || policy.createdAt || '';
+  }
+}
+
+export default new PolicyService();
@@ -0,0 +1,142 @@
+import documentStore from '../storage/documentStore.js';
+import profileNormalizer from '../utils/profileNormalizer.js';
+import resumeParser from '../utils/resumeParser.js';
+import HttpError from '../utils/httpError.js';
+
+const PROFILES = 'profiles';
+const VERSIONS = 'profileVersions';
+
+class ProfileService {
+  async listProfiles() {
+    const profiles = await documentStore.list(PROFILES);
+    return profiles.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async getProfile(id) {
+    const profile = await documentStore.get(PROFILES, id);
+    if (!profile) throw new HttpError(404, `Profile ${id} not found`);
+    return profile;
+  }
+
+  async createProfile(input = {}) {
+    const fields = profileNormalizer.normalize(input);
+    if (this.isBlank(fields)) {
+      throw new HttpError(400, `Provide at least one profile field (${profileNormalizer.fields.join(', ')})`);
+    }
+    const created = await documentStore.insert(PROFILES, { ...fields, version: 1 });
+    await this.recordVersion(created);
+    return created;
+  }
+
+  /**
+   * Merge the provided fields into the profile. A new version is recorded only
+   * when something actually changed; send an empty string or [] to clear a field.
+   */
+  async updateProfile(id, input = {}) {
+    const current = await this.getProfile(id);
+    const fields = { ...this.pick(current), ...profileNormalizer.present(input) };
+    const changed = profileNormalizer.fields.filter(f => JSON.stringify(fields[f]) !== JSON.stringify(current[f]));
+    if (changed.length === 0) return { profile: current, changed };
+
+    const updated = await documentStore.update(PROFILES, id, { ...fields, version: current.version + 1 });
+    await this.recordVersion(updated, changed);
+    return { profile: updated, changed };
+  }
+
+  // Version history, newest first
+  async listVersions(id) {
+    await this.getProfile(id);
+    const versions = await documentStore.list(VERSIONS, v => v.profileId === id);
+    return versions.sort((a, b) => b.version - a.version);
+  }
+
+  async getVersion(id, version) {
+    const versions = await this.listVersions(id);
+    const match = versions.find(v => v.version === Number(version));
+    if (!match) throw new HttpError(404, `Profile ${id} has no version ${version}`);
+    return match;
+  }
+
+  /**
+   * Profile for a request: the saved profile when `profileId` is given, with any
+   * inline fields layered on top, otherwise the inline fields alone.
+   * @param {Object} input - request query/body (may contain profileId and/or a nested profile)
+   * @param {{ defaults?: boolean }} [options] - fill role/experience defaults
+   * @returns {Promise<Object>} normalized profile, plus profileId/profileVersion when a saved profile was used
+   */
+  async resolveProfile(input = {}, { defaults = false } = {}) {
+    const profileId = input.profileId || input.profile?.profileId;
+    let profile = profileNormalizer.normalize(input);
+    if (profileId) {
+      const saved = await this.getProfile(String(profileId));
+      profile = { ...this.pick(saved), ...profileNormalizer.provided(input), profileId: saved.id, profileVersion: saved.version };
+    }
+    return defaults ? profileNormalizer.withDefaults(profile) : profile;
+  }
+
+  /**
+   * Build a profile from an uploaded resume (or pasted resume text), parsed locally.
+   * @param {Object} input
+   * @param {Buffer} [input.buffer] - PDF, DOCX or plain-text file contents
+   * @param {string} [input.mimetype]
+   * @param {string} [input.filename]
+   * @param {string} [input.text] - resume text when no file is uploaded
+   * @param {{ save?: boolean }} [options] - also store the result as a new profile
+   * @returns {Promise<{ profile, extracted, source, profileId? }>}
+   */
+  async parseResume({ buffer, mimetype, filename, text }, { save = false } = {}) {
+    let source;
+    if (buffer && buffer.length) {
+      source = await resumeParser.extractText(buffer, { mimetype, filename });
+    } else if (text && String(text).trim()) {
+      source = { type: 'text', text: String(text) };
+    } else {
+      throw new HttpError(400, "Upload a resume file (multipart field 'file') or send { text } with the resume contents");
+    }
+    if (!source.text.trim()) {
+      throw new HttpError(422, 'No text could be extracted from the resume (scanned PDFs need OCR first)');
+    }
+
+    const extracted = resumeParser.parse(source.text);
+    const years = extracted.yearsOfExperience;
+    const profile = profileNormalizer.normalize({
+      name: extracted.name,
+      role: extracted.titles[0],
+      experience: years !== null ? `${years} years` : '',
+      skills: extracted.skills,
+      location: extracted.location,
+      profileFreeText: [
+        extracted.summary,
+        extracted.titles.length ? `Recent roles: ${extracted.titles.join('; ')}.` : '',
+        extracted.education.length ? `Education: ${extracted.education.map(e => [e.degree, e.institution, e.year].filter(Boolean).join(', ')).join('; ')}.` : ''
+      ].filter(Boolean).join('\n')
+    });
+
+    const result = { profile, extracted, source: { type: source.type, filename: filename || null, characters: source.text.length } };
+    if (save) {
+      const created = await this.createProfile(profile);
+      result.profile = created;
+      result.profileId = created.id;
+    }
+    return result;
+  }
+
+  recordVersion(profile, changed = profileNormalizer.fields) {
+    return documentStore.insert(VERSIONS, {
+      profileId: profile.id,
+      version: profile.version,
+      changed,
+      profile: this.pick(profile)
+    });
+  }
+
+  pick(profile) {
+    return Object.fromEntries(profileNormalizer.fields.map(f => [f, profile[f]]));
+  }
+
+  isBlank(fields) {
+    return profileNormalizer.fields.every(f => profileNormalizer.isEmpty(fields[f]));
+  }
+}
+
+export default new ProfileService();
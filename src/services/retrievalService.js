@@ -0,0 +1,111 @@
+import storageClient from '../storage/storageClient.js';
+import geminiClient from '../vertexclient/geminiClient.js';
+import citationChecker from '../utils/citationChecker.js';
+
+const RAG_ENABLED = (process.env.RAG_ENABLED || 'true').toLowerCase() !== 'false';
+const RAG_TOP_K = Number(process.env.RAG_TOP_K || 5);
+const RAG_LOOKBACK_DAYS = Number(process.env.RAG_LOOKBACK_DAYS || 30);
+const RAG_MIN_SIMILARITY = Number(process.env.RAG_MIN_SIMILARITY || 0.2);
+const EMBED_BATCH_SIZE = Number(process.env.RAG_EMBED_BATCH_SIZE || 100);
+// Characters of article text sent to the embedding model and shown in prompts
+const EMBED_TEXT_CHARS = 2000;
+const SNIPPET_CHARS = 400;
+
+class RetrievalService {
+  /**
+   * Embed stored articles that have no embedding from the current embedding
+   * model yet (new ingests, or everything after switching models).
+   * @returns {Promise<{ model, embedded: number, failed: number, hasMore: boolean }>}
+   */
+  async embedPendingArticles({ daysPast = RAG_LOOKBACK_DAYS, limit = EMBED_BATCH_SIZE } = {}) {
+    const model = geminiClient.embeddingModelName;
+    const articles = await storageClient.queryArticlesWithoutEmbedding(model, daysPast, limit);
+
+    const rows = [];
+    let failed = 0;
+    for (const article of articles) {
+      try {
+        const { values } = await geminiClient.createEmbedding(this.articleText(article).slice(0, EMBED_TEXT_CHARS));
+        if (values?.length) rows.push({ id: article.id, embedding: values, model });
+        else failed++;
+      } catch (error) {
+        console.warn(`Embedding failed for article ${article.id}:`, error.message);
+        failed++;
+      }
+    }
+
+    const embedded = await storageClient.updateArticleEmbeddings(rows);
+    if (articles.length) console.log(`Embedded ${embedded} articles with ${model} (${failed} failed)`);
+    return { model, embedded, failed, hasMore: articles.length === limit };
+  }
+
+  /**
+   * Top-k recent articles most similar to the query text. Retrieval problems
+   * never fail the caller: they come back as `error` with no articles.
+   * @returns {Promise<{ articles: Array<{ ref, id, title, url, source, publishedAt, similarity, snippet }>, error?: string }>}
+   */
+  async retrieve(query, { k = RAG_TOP_K, daysPast = RAG_LOOKBACK_DAYS, minSimilarity = RAG_MIN_SIMILARITY } = {}) {
+    if (!RAG_ENABLED) return { articles: [], error: 'Retrieval disabled (RAG_ENABLED=false)' };
+    if (!query || !query.trim()) return { articles: [] };
+    try {
+      const { values } = await geminiClient.createEmbedding(query.slice(0, EMBED_TEXT_CHARS));
+      if (!values?.length) return { articles: [], error: 'Embedding model returned no values' };
+
+      const rows = await storageClient.querySimilarArticles(values, geminiClient.embeddingModelName, daysPast, k);
+      const articles = rows
+        .filter(row => row.similarity >= minSimilarity)
+        .map((row, i) => ({
+          ref: `A${i + 1}`,
+          id: row.id,
+          title: row.title,
+          url: row.url,
+          source: row.source,
+          publishedAt: row.published_at,
+          similarity: row.similarity,
+          snippet: this.articleText(row, false).slice(0, SNIPPET_CHARS)
+        }));
+      return { articles };
+    } catch (error) {
+      console.warn('Article retrieval failed:', error.message);
+      return { articles: [], error: error.message };
+    }
+  }
+
+  // Retrieval query for a profile, optionally focused on a question
+  profileQuery(profile = {}, question = '') {
+    return [
+      question,
+      profile.targetRole || profile.role,
+      profile.skills?.length ? `Skills: ${profile.skills.join(', ')}` : '',
+      profile.interests?.length ? `Interests: ${profile.interests.join(', ')}` : '',
+      profile.location,
+      profile.profileFreeText
+    ].filter(Boolean).join('\n');
+  }
+
+  // Prompt block listing retrieved articles under their [A1]... references
+  formatContext(articles = []) {
+    if (articles.length === 0) return 'No relevant articles retrieved.';
+    return articles.map(a =>
+      `[${a.ref}] ${a.title} (${a.source || 'unknown source'}, ${(a.publishedAt || '').slice(0, 10)})\n${a.snippet}`
+    ).join('\n\n');
+  }
+
+  // Response-facing list of the articles a prompt was given; `cited` marks those the answer references
+  toSources(articles = [], answer = '') {
+    const cited = citationChecker.refs(answer);
+    return articles.map(({ snippet, ...source }) => ({ ...source, cited: cited.has(source.ref) }));
+  }
+
+  // Citation catalog entries for the articles a prompt was given (see citationChecker)
+  citable(articles = []) {
+    return articles.map(({ ref, id, title, url, source, publishedAt }) => ({ ref, type: 'article', id, title, url, source, publishedAt }));
+  }
+
+  articleText(article, withTitle = true) {
+    return [withTitle ? article.title : '', article.body, article.content]
+      .filter(Boolean).join('\n').replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default new RetrievalService();
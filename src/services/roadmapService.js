@@ -0,0 +1,383 @@
+import structuredOutput from '../utils/structuredOutput.js';
+import documentStore from '../storage/documentStore.js';
+import HttpError from '../utils/httpError.js';
+import { MILESTONE_STATUSES, remainingPhasesSchema, roadmapResponseSchema } from '../schemas/roadmapSchema.js';
+
+const ROADMAPS = 'roadmaps';
+const ROADMAP_MAX_ATTEMPTS = Number(process.env.ROADMAP_MAX_ATTEMPTS || 3);
+// Contribution of a milestone to progress by status
+const STATUS_WEIGHT = { completed: 1, 'in-progress': 0.5, pending: 0 };
+
+class RoadmapService {
+  /**
+   * Generate a roadmap, validate it against roadmapResponseSchema (plus ID
+   * uniqueness), repair with the validation errors when it does not conform,
+   * and recompute progress from milestone statuses.
+   *
+   * @param {Object} params
+   * @param {string} params.title - target role / roadmap name
+   * @param {string[]} [params.skills] - existing user skills
+   * @param {string} [params.currentExperience]
+   * @param {string} [params.targetDuration]
+   * @returns {Promise<{ valid, roadmap, certifications, finishReason, attempts, errors, raw }>}
+   */
+  async generateRoadmap({ title, skills = [], currentExperience = '', targetDuration = '' }) {
+    const result = await structuredOutput.generate({
+      prompt: this.buildPrompt({ title, skills, currentExperience, targetDuration }),
+      schema: roadmapResponseSchema,
+      check: data => this.checkIds(data.roadmapData),
+      maxAttempts: ROADMAP_MAX_ATTEMPTS,
+      options: { temperature: 0.4, maxTokens: 4000 }
+    });
+
+    if (!result.valid) {
+      return { valid: false, errors: result.errors, attempts: result.attempts, raw: result.raw };
+    }
+
+    return {
+      valid: true,
+      roadmap: this.recomputeProgress(result.data.roadmapData),
+      certifications: result.data.certifications || [],
+      finishReason: result.finishReason,
+      attempts: result.attempts,
+      errors: []
+    };
+  }
+
+  /**
+   * Generate a roadmap and save it so milestone progress can be tracked later.
+   * Invalid model output is returned as-is and not stored. `profileId` records
+   * the saved profile the inputs came from, if any.
+   */
+  async createRoadmap({ title, skills = [], currentExperience = '', targetDuration = '', profileId }) {
+    const result = await this.generateRoadmap({ title, skills, currentExperience, targetDuration });
+    if (!result.valid) return result;
+
+    const saved = await documentStore.insert(ROADMAPS, {
+      title,
+      profileId,
+      input: { skills, currentExperience, targetDuration },
+      roadmapData: result.roadmap,
+      certifications: result.certifications,
+      regenerations: 0
+    });
+    return { ...result, roadmapId: saved.id };
+  }
+
+  // Saved roadmaps, most recently updated first, without phase details
+  async listRoadmaps() {
+    const docs = await documentStore.list(ROADMAPS);
+    return docs
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(doc => ({
+        roadmapId: doc.id,
+        title: doc.title,
+        completionRate: doc.roadmapData.completionRate,
+        phaseCount: doc.roadmapData.phases.length,
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt
+      }));
+  }
+
+  async getRoadmap(id) {
+    return this.toResponse(await this.findRoadmap(id));
+  }
+
+  async deleteRoadmap(id) {
+    const removed = await documentStore.remove(ROADMAPS, id);
+    if (!removed) throw new HttpError(404, `Roadmap ${id} not found`);
+    return { roadmapId: id, deleted: true };
+  }
+
+  /**
+   * Set one milestone's status and recompute phase progress and completionRate.
+   * Milestone IDs are unique across a roadmap, so the phase is found from the ID.
+   */
+  async updateMilestone(id, milestoneId, status) {
+    if (!MILESTONE_STATUSES.includes(status)) {
+      throw new HttpError(400, `Invalid status '${status}'. Use one of: ${MILESTONE_STATUSES.join(', ')}`);
+    }
+    const doc = await this.findRoadmap(id);
+    const targetId = Number(milestoneId);
+    const milestone = doc.roadmapData.phases.flatMap(p => p.milestones).find(m => m.id === targetId);
+    if (!milestone) throw new HttpError(404, `Milestone ${milestoneId} not found in roadmap ${id}`);
+
+    const phases = doc.roadmapData.phases.map(phase => ({
+      ...phase,
+      milestones: phase.milestones.map(m => (m.id === targetId ? { ...m, status } : m))
+    }));
+    const updated = await documentStore.update(ROADMAPS, id, {
+      roadmapData: this.recomputeProgress({ ...doc.roadmapData, phases })
+    });
+    return this.toResponse(updated);
+  }
+
+  /**
+   * Ask the model to re-plan everything that is not completed yet. Completed
+   * milestones are kept verbatim (phases that end up empty are dropped); the
+   * model's phases are appended after them with fresh IDs and the user's
+   * statuses (see userStatuses), so only milestones the user completed count.
+   *
+   * @param {string} id - roadmap ID
+   * @param {Object} [overrides] - replacement skills / currentExperience / targetDuration
+   * @returns {Promise<Object>} { valid, ...roadmap response, keptMilestones, finishReason, attempts } or { valid: false, errors, attempts, raw }
+   */
+  async regenerateRemaining(id, overrides = {}) {
+    const doc = await this.findRoadmap(id);
+    const remaining = doc.roadmapData.phases.flatMap(p => p.milestones).filter(m => m.status !== 'completed');
+    if (remaining.length === 0) throw new HttpError(409, `All milestones in roadmap ${id} are already completed`);
+
+    const input = { ...doc.input };
+    for (const field of ['skills', 'currentExperience', 'targetDuration']) {
+      if (overrides[field] !== undefined) input[field] = overrides[field];
+    }
+
+    const result = await structuredOutput.generate({
+      prompt: this.buildRemainingPrompt({ title: doc.title, input, kept: this.keepCompleted(doc.roadmapData), remaining }),
+      schema: remainingPhasesSchema,
+      maxAttempts: ROADMAP_MAX_ATTEMPTS,
+      options: { temperature: 0.4, maxTokens: 4000 }
+    });
+    if (!result.valid) {
+      return { valid: false, errors: result.errors, attempts: result.attempts, raw: result.raw };
+    }
+
+    // Re-read so milestone updates made while the model was running are not lost
+    const current = await this.findRoadmap(id);
+    const kept = this.keepCompleted(current.roadmapData);
+    const phases = [...kept, ...this.renumber(this.userStatuses(result.data.phases, current.roadmapData), kept)];
+    const updated = await documentStore.update(ROADMAPS, id, {
+      input,
+      roadmapData: this.recomputeProgress({
+        ...current.roadmapData,
+        totalDuration: result.data.totalDuration || current.roadmapData.totalDuration,
+        phases
+      }),
+      regenerations: (current.regenerations || 0) + 1
+    });
+
+    return {
+      valid: true,
+      ...this.toResponse(updated),
+      keptMilestones: kept.reduce((n, p) => n + p.milestones.length, 0),
+      finishReason: result.finishReason,
+      attempts: result.attempts
+    };
+  }
+
+  async findRoadmap(id) {
+    const doc = await documentStore.get(ROADMAPS, id);
+    if (!doc) throw new HttpError(404, `Roadmap ${id} not found`);
+    return doc;
+  }
+
+  toResponse(doc) {
+    return {
+      roadmapId: doc.id,
+      title: doc.title,
+      profileId: doc.profileId,
+      input: doc.input,
+      roadmap: doc.roadmapData,
+      certifications: doc.certifications,
+      regenerations: doc.regenerations || 0,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    };
+  }
+
+  // Phases reduced to their completed milestones; phases with none are dropped
+  keepCompleted(roadmapData) {
+    return roadmapData.phases
+      .map(phase => ({ ...phase, milestones: phase.milestones.filter(m => m.status === 'completed') }))
+      .filter(phase => phase.milestones.length > 0);
+  }
+
+  /**
+   * Statuses of re-planned milestones come from the user, not the model: a
+   * milestone carried over (same title) keeps the user's 'in-progress', every
+   * other one is 'pending', even if the model marked it 'completed'.
+   */
+  userStatuses(phases, roadmapData) {
+    const inProgress = new Set(roadmapData.phases
+      .flatMap(p => p.milestones)
+      .filter(m => m.status === 'in-progress')
+      .map(m => m.title.trim().toLowerCase()));
+    return phases.map(phase => ({
+      ...phase,
+      milestones: phase.milestones.map(m => ({
+        ...m,
+        status: inProgress.has(String(m.title).trim().toLowerCase()) ? 'in-progress' : 'pending'
+      }))
+    }));
+  }
+
+  // Give generated phases and milestones IDs that continue after the kept ones
+  renumber(phases, kept) {
+    let phaseId = Math.max(0, ...kept.map(p => p.id));
+    let milestoneId = Math.max(0, ...kept.flatMap(p => p.milestones.map(m => m.id)));
+    return phases.map(phase => ({
+      ...phase,
+      id: ++phaseId,
+      milestones: phase.milestones.map(m => ({ ...m, id: ++milestoneId }))
+    }));
+  }
+
+  buildRemainingPrompt({ title, input, kept, remaining }) {
+    const skills = Array.isArray(input.skills) ? input.skills : [];
+    const completedLines = kept.flatMap(p => p.milestones.map(m => `- [${p.title}] ${m.title} (${m.type})`));
+    const remainingLines = remaining.map(m => `- ${m.title} (${m.type}, ${m.duration}, ${m.status})`);
+
+    return `You are an expert career curriculum architect. Re-plan the unfinished part of an upskilling roadmap.
+Target Role / Roadmap: ${title}
+User Skills (existing): ${skills.length ? skills.join(', ') : 'None provided'}
+User Experience: ${input.currentExperience || 'Not specified'}
+Preferred Total Duration (optional hint): ${input.targetDuration || 'Not specified'}
+
+ALREADY COMPLETED (do not repeat these):
+${completedLines.length ? completedLines.join('\n') : '- Nothing completed yet'}
+
+PREVIOUS PLAN FOR THE REMAINING WORK (you may restructure, replace or keep items):
+${remainingLines.join('\n')}
+
+OUTPUT REQUIREMENTS:
+Return ONLY valid minified JSON (no markdown, no commentary before/after). Shape:
+{
+  "totalDuration": string, // whole roadmap including completed work, e.g. "12 months"
+  "phases": [
+    {
+      "id": number,
+      "title": string,
+      "duration": string,
+      "status": "completed" | "in-progress" | "pending",
+      "progress": number, // 0-100
+      "milestones": [
+        {
+          "id": number,
+          "title": string,
+          "type": "course" | "project" | "certification" | "reading" | "practice",
+          "duration": string,
+          "status": "completed" | "in-progress" | "pending",
+          "provider": string
+        }
+      ]
+    }
+  ]
+}
+
+LOGIC & RULES:
+- Cover only what is still left to learn; build on the completed milestones.
+- Keep milestones that were 'in-progress' in the previous plan as 'in-progress' if you carry them over. New milestones are 'pending'.
+- Order phases logically and include at least 1 project milestone per phase.
+- Keep provider names credible (Official Docs, freeCodeCamp, Coursera, AWS, etc.).
+- Output VALID JSON ONLY.`;
+  }
+
+  buildPrompt({ title, skills, currentExperience, targetDuration }) {
+    return `You are an expert career curriculum architect. Build a structured, realistic upskilling roadmap.
+Target Role / Roadmap: ${title}
+User Skills (existing): ${skills.length ? skills.join(', ') : 'None provided'}
+User Experience: ${currentExperience || 'Not specified'}
+Preferred Total Duration (optional hint): ${targetDuration || 'Not specified'}
+
+OUTPUT REQUIREMENTS:
+Return ONLY valid minified JSON (no markdown, no commentary before/after). Shape:
+{
+  "roadmapData": {
+    "title": string,
+    "totalDuration": string, // e.g. "12 months"
+    "completionRate": number, // 0-100 integer
+    "phases": [
+      {
+        "id": number,
+        "title": string,
+        "duration": string, // e.g. "3 months"
+        "status": "completed" | "in-progress" | "pending",
+        "progress": number, // 0-100
+        "milestones": [
+          {
+            "id": number,
+            "title": string,
+            "type": "course" | "project" | "certification" | "reading" | "practice",
+            "duration": string, // e.g. "3 weeks"
+            "status": "completed" | "in-progress" | "pending",
+            "provider": string
+          }
+        ]
+      }
+    ]
+  },
+  "certifications": [
+    {
+      "name": string,
+      "provider": string,
+      "difficulty": "Beginner" | "Intermediate" | "Advanced",
+      "duration": string,
+      "value": "High" | "Medium" | "Low",
+      "priority": "Recommended" | "Optional" | "Stretch"
+    }
+  ]
+}
+
+LOGIC & RULES:
+- 4-6 phases total. Order them logically (fundamentals -> specialization -> integration -> professional polish).
+- A phase or milestone is 'completed' only if its core skills are already in user skills. Partially covered => 'in-progress'. Others 'pending'.
+- completionRate (%) should reflect weighted progress over all milestones (it is recomputed server-side from milestone statuses).
+- Milestone durations: use weeks for granular items; phase duration sum should roughly match totalDuration.
+- If no targetDuration provided, choose a realistic total (e.g., 6, 9, or 12 months) based on breadth.
+- Ensure IDs are unique and sequential across milestones (phase ordering preserved) but milestone IDs must not reset inside a phase in a way that conflicts.
+- Tailor content to ${title}. Avoid generic filler.
+- Include at least 1 project milestone each phase (except possibly a pure certification phase).
+- Keep provider names credible (Official Docs, freeCodeCamp, Coursera, AWS, etc.).
+- Output VALID JSON ONLY.`;
+  }
+
+  // Phase IDs and milestone IDs must each be unique across the whole roadmap
+  checkIds(roadmapData) {
+    const errors = [];
+    const phaseIds = new Set();
+    const milestoneIds = new Set();
+    roadmapData.phases.forEach((phase, p) => {
+      if (phaseIds.has(phase.id)) errors.push(`/roadmapData/phases/${p}/id: duplicate phase id ${phase.id}`);
+      phaseIds.add(phase.id);
+      phase.milestones.forEach((milestone, m) => {
+        if (milestoneIds.has(milestone.id)) {
+          errors.push(`/roadmapData/phases/${p}/milestones/${m}/id: duplicate milestone id ${milestone.id}`);
+        }
+        milestoneIds.add(milestone.id);
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Derive phase progress/status and the overall completionRate from milestone
+   * statuses (completed = 1, in-progress = 0.5, pending = 0, equal weights), so
+   * the numbers always agree with the milestones.
+   */
+  recomputeProgress(roadmapData) {
+    let total = 0;
+    let count = 0;
+
+    const phases = roadmapData.phases.map(phase => {
+      const weights = phase.milestones.map(m => STATUS_WEIGHT[m.status] ?? 0);
+      const sum = weights.reduce((a, b) => a + b, 0);
+      total += sum;
+      count += weights.length;
+
+      const progress = weights.length ? Math.round((sum / weights.length) * 100) : 0;
+      let status = 'pending';
+      if (weights.length && phase.milestones.every(m => m.status === 'completed')) status = 'completed';
+      else if (phase.milestones.some(m => m.status !== 'pending')) status = 'in-progress';
+
+      return { ...phase, progress, status };
+    });
+
+    return {
+      ...roadmapData,
+      phases,
+      completionRate: count ? Math.round((total / count) * 100) : 0
+    };
+  }
+}
+
+export default new RoadmapService();
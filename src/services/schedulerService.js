@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import careerInsightsService from './careerInsightsService.js';
+import documentStore from '../storage/documentStore.js';
+import HttpError from '../utils/httpError.js';
+import sourceRegistry from '../sources/sourceRegistry.js';
+
+const WATCHLIST = 'watchlist';
+const RUNS = 'watchlistRuns';
+const RUN_HISTORY_LIMIT = Number(process.env.WATCHLIST_RUN_HISTORY_LIMIT || 50);
+const SCHEDULER_TIMEZONE = process.env.SCHEDULER_TIMEZONE || undefined;
+const OPTION_FIELDS = ['adapters', 'pageSize', 'domains', 'sources', 'includeTrends', 'trendsTimeRange', 'trendsGeo', 'strict', 'includeCommonTagKeywords'];
+
+class SchedulerService {
+  constructor() {
+    this.tasks = new Map();   // watchlist id -> cron task
+    this.running = new Set(); // watchlist ids with a run in flight
+    this.started = false;
+  }
+
+  // Schedule every enabled watchlist entry; called once at server startup
+  async start() {
+    if (this.started) return;
+    this.started = true;
+    const entries = await documentStore.list(WATCHLIST);
+    // One entry node-cron rejects (e.g. a zone stored before timezones were validated) must not stop the rest
+    for (const entry of entries.filter(e => e.enabled)) {
+      try {
+        this.schedule(entry);
+      } catch (error) {
+        console.error(`Could not schedule watchlist query ${entry.id}:`, error.message);
+      }
+    }
+    console.log(`⏰ Scheduler started with ${this.tasks.size} active watchlist queries`);
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) task.stop();
+    this.tasks.clear();
+    this.started = false;
+  }
+
+  schedule(entry) {
+    this.unschedule(entry.id);
+    if (!this.started || !entry.enabled) return;
+    const task = cron.schedule(entry.cron, () => {
+      this.runQuery(entry.id, 'schedule').catch(err => console.error(`Scheduled run ${entry.id} failed:`, err.message));
+    }, { timezone: entry.timezone || SCHEDULER_TIMEZONE });
+    this.tasks.set(entry.id, task);
+  }
+
+  unschedule(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  async listQueries() {
+    const entries = await documentStore.list(WATCHLIST);
+    return entries.map(e => this.withState(e));
+  }
+
+  async getQuery(id) {
+    const entry = await documentStore.get(WATCHLIST, id);
+    if (!entry) throw new HttpError(404, `Watchlist query ${id} not found`);
+    return this.withState(entry);
+  }
+
+  async createQuery(input = {}) {
+    // Scheduled before it is saved so an entry node-cron rejects is never stored
+    const entry = { id: crypto.randomUUID(), ...this.normalizeInput(input) };
+    this.schedule(entry);
+    try {
+      const created = await documentStore.insert(WATCHLIST, {
+        ...entry,
+        stats: { successCount: 0, failureCount: 0, skippedCount: 0 },
+        lastRun: null
+      });
+      return this.withState(created);
+    } catch (error) {
+      this.unschedule(entry.id);
+      throw error;
+    }
+  }
+
+  async updateQuery(id, input = {}) {
+    const current = await documentStore.get(WATCHLIST, id);
+    if (!current) throw new HttpError(404, `Watchlist query ${id} not found`);
+    const entry = this.normalizeInput({ ...current, ...input, options: { ...current.options, ...(input.options || {}) } }, input);
+    this.schedule({ ...current, ...entry });
+    const updated = await documentStore.update(WATCHLIST, id, entry);
+    return this.withState(updated);
+  }
+
+  async deleteQuery(id) {
+    const removed = await documentStore.remove(WATCHLIST, id);
+    if (!removed) throw new HttpError(404, `Watchlist query ${id} not found`);
+    this.unschedule(id);
+    await documentStore.removeWhere(RUNS, run => run.queryId === id);
+    return { id, deleted: true };
+  }
+
+  async listRuns(id, limit = 20) {
+    await this.getQuery(id);
+    const runs = await documentStore.list(RUNS, run => run.queryId === id);
+    return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt)).slice(0, limit);
+  }
+
+  /**
+   * Ingest one watchlist query. A run that starts while the previous run for the
+   * same query is still in flight is recorded as 'skipped' instead of overlapping.
+   * @param {string} id - watchlist entry ID
+   * @param {'schedule'|'manual'} trigger
+   */
+  async runQuery(id, trigger = 'manual') {
+    const entry = await documentStore.get(WATCHLIST, id);
+    if (!entry) throw new HttpError(404, `Watchlist query ${id} not found`);
+
+    const startedAt = new Date().toISOString();
+    if (this.running.has(id)) {
+      return this.recordRun(entry, { trigger, startedAt, finishedAt: startedAt, status: 'skipped', reason: 'Previous run still in progress' });
+    }
+
+    this.running.add(id);
+    try {
+      const { strict, includeCommonTagKeywords, ...options } = entry.options || {};
+      const result = await careerInsightsService.ingestNews(entry.query, {
+        ...options,
+        includeCommonTagKeywords: strict === true ? false : includeCommonTagKeywords
+      });
+      return await this.recordRun(entry, {
+        trigger,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        status: 'success',
+        ingested: result.ingested || 0,
+        new: result.new || 0,
+        updated: result.updated || 0,
+        duplicates: result.duplicates || 0,
+        totalFound: result.totalFound || 0,
+        adapters: result.adapters
+      });
+    } catch (error) {
+      return await this.recordRun(entry, {
+        trigger,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        status: 'failed',
+        error: error.message
+      });
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  async recordRun(entry, run) {
+    const saved = await documentStore.insert(RUNS, { queryId: entry.id, query: entry.query, ...run });
+
+    const current = (await documentStore.get(WATCHLIST, entry.id)) || entry;
+    const stats = { successCount: 0, failureCount: 0, skippedCount: 0, ...(current.stats || {}) };
+    if (run.status === 'success') stats.successCount++;
+    else if (run.status === 'failed') stats.failureCount++;
+    else stats.skippedCount++;
+    await documentStore.update(WATCHLIST, entry.id, { stats, lastRun: saved });
+
+    // Keep only the newest RUN_HISTORY_LIMIT runs per query
+    const runs = await documentStore.list(RUNS, r => r.queryId === entry.id);
+    if (runs.length > RUN_HISTORY_LIMIT) {
+      const stale = new Set(runs
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(RUN_HISTORY_LIMIT)
+        .map(r => r.id));
+      await documentStore.removeWhere(RUNS, r => stale.has(r.id));
+    }
+    return saved;
+  }
+
+  normalizeInput(input, patch = input) {
+    const query = String(input.query || '').trim();
+    if (!query) throw new HttpError(400, "Provide 'query' for the watchlist entry");
+
+    const expression = String(input.cron || '').trim();
+    if (!expression || !cron.validate(expression)) {
+      throw new HttpError(400, `Invalid cron expression '${expression}' (e.g. "0 */6 * * *")`);
+    }
+
+    // Options may be sent nested under 'options' or as top-level fields like the ingest route
+    const options = { ...(input.options || {}) };
+    for (const field of OPTION_FIELDS) {
+      if (patch[field] !== undefined) options[field] = patch[field];
+    }
+    if (options.adapters !== undefined) options.adapters = sourceRegistry.resolve(options.adapters);
+
+    const timezone = input.timezone ? String(input.timezone).trim() : undefined;
+    if (timezone && !this.isValidTimezone(timezone)) {
+      throw new HttpError(400, `Invalid timezone '${timezone}' (use an IANA name like "Asia/Kolkata")`);
+    }
+
+    return {
+      query,
+      cron: expression,
+      timezone,
+      enabled: input.enabled !== undefined ? Boolean(input.enabled) : true,
+      options: Object.fromEntries(OPTION_FIELDS.filter(f => options[f] !== undefined).map(f => [f, options[f]]))
+    };
+  }
+
+  isValidTimezone(timeZone) {
+    try {
+      new Intl.DateTimeFormat(undefined, { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  withState(entry) {
+    return {
+      ...entry,
+      scheduled: this.tasks.has(entry.id),
+      running: this.running.has(entry.id)
+    };
+  }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,141 @@
+import storageClient from '../storage/storageClient.js';
+import geminiClient from '../vertexclient/geminiClient.js';
+import overviewService from './overviewService.js';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+
+// How many market skills to rank gaps from
+const MARKET_DEPTH = 200;
+// Demand multiplier by how closely a skill relates to the target role
+const RELEVANCE_WEIGHT = { role: 2, category: 1.5, market: 1 };
+
+class SkillGapService {
+  /**
+   * Compare a profile's skills to market demand. The ranking is deterministic
+   * for the same stored articles: score = mentions x relevance weight (role 2,
+   * category 1.5, market 1), ties broken by mentions then skill name.
+   *
+   * @param {Object} params
+   * @param {string[]} params.skills - the user's skills (any spelling; canonicalized)
+   * @param {string} [params.targetRole] - role to weight gaps towards
+   * @param {number} [params.days] - demand window
+   * @param {number} [params.limit] - gaps to return
+   * @param {number} [params.evidence] - articles per gap
+   * @param {boolean} [params.commentary] - add an LLM explanation of the ranking
+   */
+  async getSkillGap({ skills = [], targetRole = '', days = 30, limit = 10, evidence = 3, commentary = false }) {
+    const have = new Set(skills.map(s => skillTaxonomy.canonicalize(s)));
+    const focus = this.roleFocus(targetRole);
+
+    const market = (await storageClient.queryTopSkillsFiltered(days, MARKET_DEPTH, []))
+      .filter(row => skillTaxonomy.isSkill(row.skill));
+    const topMentions = market.length ? market[0].mentions : 0;
+
+    const ranked = market
+      .filter(row => !have.has(row.skill))
+      .map(row => {
+        const skill = skillTaxonomy.lookup(row.skill);
+        const relevance = focus.skills.has(skill.name) ? 'role' : focus.categories.has(skill.category) ? 'category' : 'market';
+        return {
+          skill: skill.name,
+          label: skill.label,
+          category: skill.category,
+          mentions: row.mentions,
+          demandShare: topMentions ? Math.round((row.mentions / topMentions) * 100) / 100 : 0,
+          relevance,
+          score: Math.round(row.mentions * RELEVANCE_WEIGHT[relevance] * 100) / 100,
+          adjacentSkills: this.adjacentSkills(skill, have)
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.mentions - a.mentions || a.skill.localeCompare(b.skill))
+      .slice(0, limit)
+      .map((gap, i) => ({ rank: i + 1, ...gap }));
+
+    const evidenceBySkill = evidence > 0 && ranked.length > 0
+      ? await this.evidenceBySkill(ranked.map(gap => gap.skill), days, evidence)
+      : new Map();
+    const gaps = ranked.map(gap => ({ ...gap, evidence: evidenceBySkill.get(gap.skill) || [] }));
+
+    const mentionsBySkill = new Map(market.map(row => [row.skill, row.mentions]));
+    const strengths = Array.from(have)
+      .map(name => ({ skill: name, label: skillTaxonomy.lookup(name)?.label || name, mentions: mentionsBySkill.get(name) || 0 }))
+      .sort((a, b) => b.mentions - a.mentions || a.skill.localeCompare(b.skill));
+
+    const result = {
+      success: true,
+      targetRole: targetRole || null,
+      period: { days },
+      roleFocus: Array.from(focus.skills).sort(),
+      strengths,
+      gaps,
+      method: 'score = mentions x relevance weight (role 2, category 1.5, market 1); ties by mentions, then skill',
+      generatedAt: new Date().toISOString()
+    };
+
+    if (commentary) {
+      try {
+        const ai = await geminiClient.generateContent(this.buildPrompt(result), { temperature: 0.3, maxTokens: 800 });
+        result.commentary = ai.text;
+      } catch (error) {
+        console.warn('Skill gap commentary failed:', error.message);
+        result.commentaryError = error.message;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Recent articles for every gap skill from one storage query, grouped by
+   * canonical skill (alias spellings merged), newest first, `perSkill` each.
+   * @returns {Promise<Map<string, Object[]>>}
+   */
+  async evidenceBySkill(skills, days, perSkill) {
+    const bySkill = new Map();
+    for (const row of await storageClient.queryArticlesPerTag(skills, days, perSkill)) {
+      const skill = skillTaxonomy.canonicalize(row.matched_tag);
+      if (!bySkill.has(skill)) bySkill.set(skill, []);
+      bySkill.get(skill).push(row);
+    }
+    for (const [skill, rows] of bySkill) {
+      const seen = new Set();
+      bySkill.set(skill, rows
+        .sort((a, b) => String(b.published_at).localeCompare(String(a.published_at)))
+        .filter(row => !seen.has(row.id) && seen.add(row.id))
+        .slice(0, perSkill)
+        .map(a => ({ id: a.id, title: a.title, source: a.source, url: a.url, publishedAt: a.published_at })));
+    }
+    return bySkill;
+  }
+
+  /**
+   * Skills tied to the target role: taxonomy skills named in the role itself plus
+   * the role keywords overview uses for emerging tech. Their categories count as
+   * adjacent to the role.
+   */
+  roleFocus(targetRole) {
+    const terms = [...skillTaxonomy.matchText(targetRole), ...overviewService.deriveEmergingFromRole(targetRole)];
+    const skills = new Set(terms.filter(t => skillTaxonomy.isSkill(t)).map(t => skillTaxonomy.canonicalize(t)));
+    const categories = new Set(Array.from(skills).map(name => skillTaxonomy.lookup(name).category));
+    return { skills, categories };
+  }
+
+  // Skills the user already has that share the gap's category or parent/child link
+  adjacentSkills(skill, have) {
+    return Array.from(have)
+      .map(name => skillTaxonomy.lookup(name))
+      .filter(own => own && (own.category === skill.category || own.parent === skill.name || skill.parent === own.name))
+      .map(own => own.name)
+      .sort();
+  }
+
+  buildPrompt({ targetRole, strengths, gaps }) {
+    return `You are a pragmatic career coach. Explain the skill gap ranking below in 4-6 short sentences of plain text.
+Do not re-rank or add skills; refer to the ranked gaps by name and explain why the top ones matter for the target role and how existing skills make them easier to learn.
+
+TARGET ROLE: ${targetRole || 'Not specified'}
+EXISTING SKILLS: ${strengths.map(s => s.label).join(', ') || 'None provided'}
+RANKED GAPS (rank. skill - mentions, relevance, adjacent existing skills):
+${gaps.map(g => `${g.rank}. ${g.label} - ${g.mentions} mentions, ${g.relevance}, adjacent: ${g.adjacentSkills.join(', ') || 'none'}`).join('\n') || 'None'}`;
+  }
+}
+
+export default new SkillGapService();
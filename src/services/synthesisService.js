@@ -1,4 +1,10 @@
 import geminiClient from '../vertexclient/geminiClient.js';
+import citationChecker from '../utils/citationChecker.js';
+import promptBuilder from '../utils/promptBuilder.js';
+
+// Input passages are cited as [R1]... (real-time text) and [D1]... (government dataset text)
+const PASSAGE_CHARS = 600;
+const EXCERPT_CHARS = 160;
 
 class SynthesisService {
   /**
@@ -10,48 +16,96 @@ class SynthesisService {
    * @param {string} params.governmentText - Free text from government dataset insights
    * @param {string} [params.role] - Optional role to tailor guidance
    * @param {string} [params.question] - Optional user question to steer the summary
+   * @param {Object} [hooks] - { onProgress(stage, data), onToken(text), signal } for streaming callers
    */
-  async synthesize({ realTimeText = '', governmentText = '', role = '', question = '' } = {}) {
+  async synthesize({ realTimeText = '', governmentText = '', role = '', question = '' } = {}, { onProgress = () => {}, onToken = null, signal } = {}) {
     if (!realTimeText && !governmentText) {
       throw new Error('Provide at least one of realTimeText or governmentText');
     }
 
-  const prompt = this.buildPrompt({ realTimeText, governmentText, role, question });
+    const passages = {
+      realTime: this.splitPassages(realTimeText),
+      government: this.splitPassages(governmentText)
+    };
+    // Low temperature for crisp synthesis. Use a generous token budget for detailed output.
+    const generationOptions = { temperature: 0.3, maxTokens: 2048 };
+    const { prompt, usage } = await promptBuilder.build(this.buildPrompt({ passages, role, question }), { outputTokens: generationOptions.maxTokens });
+    onProgress('model', { status: 'started' });
+    const ai = onToken
+      ? await geminiClient.generateContentStream(prompt, { ...generationOptions, signal }, onToken)
+      : await geminiClient.generateContent(prompt, { ...generationOptions, signal });
+    onProgress('model', { status: 'done', finishReason: ai.finishReason });
 
-  // Low temperature for crisp synthesis. Use a generous token budget for detailed output.
-  const tokenBudget = 2048;
-    const ai = await geminiClient.generateContent(prompt, {
-      temperature: 0.3,
-      maxTokens: tokenBudget
-    });
+    // Keep only citations of passages that made it into the prompt
+    const checked = citationChecker.check(ai.text, citationChecker.listed([
+      ...this.passageCitations(passages.realTime, 'R', 'realTimeText'),
+      ...this.passageCitations(passages.government, 'D', 'governmentText')
+    ], prompt));
 
     return {
       success: true,
       synthesis: {
         role: role || undefined,
         question: question || undefined,
-        reportMarkdown: ai.text,
+        reportMarkdown: checked.text,
         finishReason: ai.finishReason
       },
+      citations: checked.citations,
       inputs: {
         realTimeTextLength: (realTimeText || '').length,
-        governmentTextLength: (governmentText || '').length
+        governmentTextLength: (governmentText || '').length,
+        realTimePassages: passages.realTime.length,
+        governmentPassages: passages.government.length
       },
       metadata: {
+        droppedCitations: checked.dropped,
+        tokenUsage: promptBuilder.withOutput(usage, ai.text),
         generatedAt: new Date().toISOString()
       }
     };
   }
 
-  buildPrompt({ realTimeText, governmentText, role, question }) {
+  // Paragraphs of an input, long ones split at sentence boundaries into ~PASSAGE_CHARS pieces
+  splitPassages(text = '') {
+    const passages = [];
+    for (const block of String(text || '').split(/\n\s*\n/).map(b => b.trim()).filter(Boolean)) {
+      let current = '';
+      for (const sentence of block.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean)) {
+        if (current && current.length + sentence.length > PASSAGE_CHARS) {
+          passages.push(current);
+          current = '';
+        }
+        current = current ? `${current} ${sentence}` : sentence;
+      }
+      if (current) passages.push(current);
+    }
+    return passages;
+  }
+
+  passageCitations(passages, prefix, input) {
+    return passages.map((text, i) => ({
+      ref: `${prefix}${i + 1}`,
+      type: 'input',
+      input,
+      passage: i + 1,
+      excerpt: text.length > EXCERPT_CHARS ? `${text.slice(0, EXCERPT_CHARS)}...` : text
+    }));
+  }
+
+  formatPassages(passages, prefix) {
+    return passages.map((text, i) => `[${prefix}${i + 1}] ${text}`).join('\n');
+  }
+
+  // Prompt parts for promptBuilder.build(); both inputs get the same priority and lose whole passages from the end
+  buildPrompt({ passages, role, question }) {
     const lengthHint = '900-1200 words';
-  return `Act as a pragmatic career coach and policy analyst. Synthesize the two inputs into a single, accessible report for a general audience. Avoid jargon. Be specific. Do not self-reference or include phrases like "As Growgle".
+    return promptBuilder.parts`Act as a pragmatic career coach and policy analyst. Synthesize the two inputs into a single, accessible report for a general audience. Avoid jargon. Be specific. Do not self-reference or include phrases like "As Growgle".
 
 CONTEXT (real-time career insights)
-${realTimeText || 'Not provided'}
+${promptBuilder.section('realTimeText', this.formatPassages(passages.realTime, 'R') || 'Not provided', { priority: 1, strategy: 'lines' })}
 
 CONTEXT (government dataset insights)
-${governmentText || 'Not provided'}
+${promptBuilder.section('governmentText', this.formatPassages(passages.government, 'D') || 'Not provided', { priority: 1, strategy: 'lines' })}
 
 USER CONTEXT
 - Role (optional): ${role || 'N/A'}
@@ -65,6 +119,7 @@ REQUIREMENTS
 - Call out relevant policies/regulations if present (plain language).
 - Include a short risks & mitigations list (3 items max).
 - Finish with a concise checklist and recommended next steps (6-8 items, one-liners).
+- Cite the inputs: end each bullet or paragraph with the passages it draws on, e.g. [R2] or [R1, D3]. Headings carry no markers; use only the references listed above and never invent new ones.
 
 FORMAT
 Return Markdown with clear headings:
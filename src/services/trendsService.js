@@ -0,0 +1,167 @@
+import storageClient from '../storage/storageClient.js';
+import structuredOutput from '../utils/structuredOutput.js';
+import { trendNarrativeSchema, trendCardSchema } from '../schemas/trendCardSchema.js';
+
+const TREND_CARD_MAX_ATTEMPTS = Number(process.env.TREND_CARD_MAX_ATTEMPTS || 3);
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+
+class TrendsService {
+  /**
+   * @param {Object} params
+   * @param {number} params.days - lookback window
+   * @param {number} params.limit - number of skills
+   * @param {'card'|'raw'|'text'} params.format - 'text' is the legacy 6-line text cards
+   */
+  async getTrends({ days = 7, limit = 10, format = 'card' } = {}) {
+    const period = `${days} days`;
+
+    // Growth, baseline and demand tier are computed by the storage layer, not the model
+    const trends = await storageClient.querySkillGrowth(days, limit);
+    const top = Array.isArray(trends) ? trends.slice(0, limit) : [];
+
+    // Raw format for backward compatibility (skill + mentions, plus growth fields)
+    if (format === 'raw') {
+      return { success: true, trends: top, period, count: top.length };
+    }
+
+    // If no data, return empty cards list gracefully
+    if (!top.length) {
+      return { success: true, cards: [], trends: [], period, count: 0 };
+    }
+
+    const { cards, attempts, warnings } = await this.buildCards(top, days);
+
+    if (format === 'text') {
+      const textCards = cards.map(card => this.toLegacyText(card));
+      return { success: true, cards: textCards, trends: top, period, count: textCards.length, format: 'text' };
+    }
+
+    return {
+      success: true,
+      cards,
+      trends: top,
+      period,
+      count: cards.length,
+      format: 'card',
+      attempts,
+      ...(warnings.length ? { warnings } : {})
+    };
+  }
+
+  /**
+   * Typed cards: computed numbers plus model-provided salary and narrative. The
+   * model output is validated against trendNarrativeSchema and repaired up to
+   * TREND_CARD_MAX_ATTEMPTS calls; if it never conforms, cards keep null salary
+   * and narrative rather than misaligned data.
+   */
+  async buildCards(top, days) {
+    const skills = top.map(t => t.skill);
+    const warnings = [];
+    let byIndex = [];
+    let attempts = 0;
+
+    try {
+      const result = await structuredOutput.generate({
+        prompt: this.buildPrompt(top, days),
+        schema: trendNarrativeSchema,
+        check: data => this.checkNarratives(data, skills),
+        maxAttempts: TREND_CARD_MAX_ATTEMPTS,
+        options: { temperature: 0.3 }
+      });
+      attempts = result.attempts;
+      if (result.valid) {
+        byIndex = result.data;
+      } else {
+        warnings.push(`Model output did not match the card schema after ${result.attempts} attempts: ${result.errors.slice(0, 3).join('; ')}`);
+      }
+    } catch (modelErr) {
+      console.warn('Trend card generation failed, returning computed numbers only:', modelErr.message);
+      warnings.push(`Model unavailable: ${modelErr.message}`);
+    }
+
+    const cards = top.map((t, i) => ({
+      skill: t.skill,
+      mentions: t.mentions,
+      growth: t.growthPct,
+      demand: t.demandTier,
+      salary: byIndex[i]?.salary ?? null,
+      narrative: byIndex[i]?.narrative ?? null
+    }));
+
+    for (const card of cards) {
+      const { valid, errors } = structuredOutput.validate(trendCardSchema, card);
+      if (!valid) warnings.push(`Card ${card.skill}: ${errors.join('; ')}`);
+    }
+
+    return { cards, attempts, warnings };
+  }
+
+  buildPrompt(top, days) {
+    const skillsList = top
+      .map((r, i) => `${i + 1}. ${r.skill} — mentions: ${r.mentions}, previous period: ${r.previousMentions}, growth: ${this.formatGrowth(r.growthPct)}, baseline avg: ${r.baselineMentions}, demand: ${r.demandTier}`)
+      .join('\n');
+
+    return `You are a concise career market analyst. The numbers below were computed from news mentions over the last ${days} days compared with the previous period of equal length. Do NOT change or re-estimate them.
+
+Return ONLY a JSON array with exactly ${top.length} objects, one per skill, in the same order as provided:
+[
+  {
+    "skill": string, // copied exactly from the list
+    "salary": { "currency": "INR", "min": number, "max": number | null }, // annual mid-level salary in India, whole rupees; max null for open-ended ("min+")
+    "narrative": string // one short sentence on what the growth and demand numbers mean for job seekers
+  }
+]
+
+Rules:
+- No markdown, no commentary, no extra keys.
+- Keep salaries realistic; use null for "salary" only if the skill is not a hireable skill.
+
+Skills with computed signals:
+${skillsList}`;
+  }
+
+  // Schema-level checks that need the requested skills: count, order and salary range
+  checkNarratives(data, skills) {
+    const errors = [];
+    if (data.length !== skills.length) {
+      errors.push(`Expected ${skills.length} items, got ${data.length}`);
+    }
+    data.forEach((item, i) => {
+      if (skills[i] !== undefined && item.skill.toLowerCase() !== skills[i].toLowerCase()) {
+        errors.push(`/${i}/skill: expected "${skills[i]}", got "${item.skill}"`);
+      }
+      if (item.salary && item.salary.max !== null && item.salary.max < item.salary.min) {
+        errors.push(`/${i}/salary: max must be >= min`);
+      }
+    });
+    return errors;
+  }
+
+  // "+12.5%" / "-4%" for computed growth; "New" when there were no mentions in the previous period
+  formatGrowth(growthPct) {
+    if (growthPct === null || growthPct === undefined) return 'New';
+    return `${growthPct >= 0 ? '+' : ''}${growthPct}%`;
+  }
+
+  // "₹110k+" or "₹90k-₹120k"
+  formatSalary(salary) {
+    if (!salary) return 'N/A';
+    const symbol = CURRENCY_SYMBOLS[salary.currency] || `${salary.currency} `;
+    const k = value => `${symbol}${Math.round(value / 1000)}k`;
+    return salary.max === null || salary.max === undefined ? `${k(salary.min)}+` : `${k(salary.min)}-${k(salary.max)}`;
+  }
+
+  // Legacy 6-line text card
+  toLegacyText(card) {
+    return [
+      card.skill,
+      this.formatGrowth(card.growth),
+      'Demand:',
+      card.demand,
+      'Avg. Salary:',
+      this.formatSalary(card.salary)
+    ].join('\n');
+  }
+}
+
+export default new TrendsService();
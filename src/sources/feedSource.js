@@ -0,0 +1,148 @@
+import axios from 'axios';
+import newsApiClient from '../utils/newsApiClient.js';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import textMatcher from '../utils/textMatcher.js';
+
+const FEED_TIMEOUT_MS = Number(process.env.FEED_TIMEOUT_MS || 10000);
+const DEFAULT_MAX_AGE_DAYS = 7;
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Base class for configured feeds. Subclasses implement parse(body), returning
+ * items in the NewsAPI article shape ({ title, description, content, url,
+ * author, urlToImage, publishedAt, source: { name } }); fetch() then keeps the
+ * recent items relevant to the query and runs them through
+ * newsApiClient.processArticles, so every adapter produces the same article
+ * shape (IDs, cleaned text, taxonomy tags).
+ *
+ * Config: { name, type, url, source?, tags?, headers?, filter?, maxAgeDays?, description? }
+ * - `url` may contain `{query}` (replaced with the URL-encoded ingest query);
+ *   such feeds search server-side, so items are only filtered by the query
+ *   when `filter: true`. Feeds without `{query}` are filtered unless `filter: false`.
+ * - header values may reference environment variables as `${NAME}` (API keys)
+ */
+class FeedSource {
+  constructor(config) {
+    this.name = config.name;
+    this.type = config.type;
+    this.description = config.description || `${config.type.toUpperCase()} feed ${config.url}`;
+    this.config = config;
+  }
+
+  async fetch(query, options = {}) {
+    const items = await this.fetchItems(query);
+    const since = this.since(options.from);
+    const filter = this.config.filter ?? !this.config.url.includes('{query}');
+    const phrases = filter ? this.queryPhrases(query) : [];
+
+    const relevant = items
+      .filter(item => item.title)
+      .filter(item => !item.publishedAt || !(new Date(item.publishedAt) < since))
+      .filter(item => phrases.length === 0 || textMatcher.containsAny(`${item.title} ${item.description} ${item.content}`, phrases))
+      .slice(0, Number(options.pageSize) || 20)
+      .map(item => ({
+        ...item,
+        description: item.description || item.content || item.title,
+        source: { name: this.config.source || item.source?.name || this.name }
+      }));
+
+    const { articles } = newsApiClient.processArticles(relevant, query, options);
+    const feedTags = (this.config.tags || []).map(tag => skillTaxonomy.canonicalize(tag));
+    return {
+      articles: feedTags.length
+        ? articles.map(article => ({ ...article, tags: Array.from(new Set([...article.tags, ...feedTags])) }))
+        : articles,
+      totalResults: articles.length
+    };
+  }
+
+  // Download and parse the feed without filtering (also used by the policy ingester)
+  async fetchItems(query = '') {
+    let body;
+    try {
+      const response = await axios.get(this.feedUrl(query), {
+        headers: this.headers(),
+        timeout: FEED_TIMEOUT_MS,
+        responseType: 'text',
+        transformResponse: [data => data]
+      });
+      body = response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+
+    try {
+      return this.parse(body);
+    } catch (error) {
+      throw new Error(`Feed '${this.name}' could not be parsed: ${error.message}`);
+    }
+  }
+
+  // Subclasses: response body -> NewsAPI-shaped items
+  parse() {
+    throw new Error(`${this.constructor.name} must implement parse()`);
+  }
+
+  feedUrl(query) {
+    return this.config.url.replace(/\{query\}/g, encodeURIComponent(query || ''));
+  }
+
+  headers() {
+    return Object.fromEntries(Object.entries(this.config.headers || {})
+      .map(([name, value]) => [name, String(value).replace(/\$\{(\w+)\}/g, (_, env) => process.env[env] || '')]));
+  }
+
+  since(from) {
+    if (from) return new Date(from);
+    const date = new Date();
+    date.setDate(date.getDate() - (this.config.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS));
+    return date;
+  }
+
+  // Query terms ("AI, data engineering" or "AI OR jobs") with skills expanded to their aliases
+  queryPhrases(query) {
+    return String(query || '')
+      .split(/,|\s+OR\s+/)
+      .map(term => term.trim())
+      .filter(Boolean)
+      .flatMap(term => {
+        const skill = skillTaxonomy.lookup(term);
+        return skill ? [skill.name, skill.label, ...skill.aliases] : [term];
+      });
+  }
+
+  // ISO timestamp for a date string or Unix time (seconds or milliseconds); null when unparseable
+  isoDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const date = /^\d{9,13}$/.test(text) ? new Date(Number(text) * (text.length <= 10 ? 1000 : 1)) : new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // Feed HTML (descriptions, content:encoded) as plain text
+  plainText(value) {
+    return String(value ?? '')
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+          const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+          return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  handleError(error) {
+    if (error.response) {
+      return new Error(`Feed '${this.name}' returned HTTP ${error.response.status}`);
+    } else if (error.code === 'ECONNABORTED') {
+      return new Error(`Feed '${this.name}' timed out after ${FEED_TIMEOUT_MS}ms`);
+    }
+    return new Error(`Feed '${this.name}' request failed: ${error.message}`);
+  }
+}
+
+export default FeedSource;
@@ -0,0 +1,56 @@
+import FeedSource from './feedSource.js';
+
+// Field paths of a JSON Feed (https://jsonfeed.org) item, used for fields the config does not map
+const DEFAULT_FIELDS = {
+  title: 'title',
+  url: 'url',
+  body: 'summary',
+  content: 'content_text',
+  publishedAt: 'date_published',
+  author: 'authors.0.name',
+  imageUrl: 'image'
+};
+
+/**
+ * Any JSON API that returns a list of items (job boards, press release APIs,
+ * JSON Feed). Extra config:
+ * - itemsPath: dot path to the item array ('' when the response is the array; default 'items')
+ * - fields: dot paths per article field ({ title, url, body, content, publishedAt, author, imageUrl });
+ *   any other mapped field is returned in the item's `extra` object
+ */
+class JsonFeedSource extends FeedSource {
+  parse(body) {
+    const doc = typeof body === 'string' ? JSON.parse(body) : body;
+    const itemsPath = this.config.itemsPath ?? 'items';
+    const items = itemsPath ? this.valueAt(doc, itemsPath) : doc;
+    if (!Array.isArray(items)) throw new Error(`No item array at '${itemsPath || '(root)'}'`);
+
+    const fields = { ...DEFAULT_FIELDS, ...(this.config.fields || {}) };
+    const field = (item, name) => {
+      const value = this.valueAt(item, fields[name]);
+      return value === undefined || value === null ? '' : String(value);
+    };
+
+    return items.map(item => ({
+      title: this.plainText(field(item, 'title')),
+      description: this.plainText(field(item, 'body')),
+      content: this.plainText(field(item, 'content') || (fields.content === 'content_text' ? item.content_html : '')),
+      url: field(item, 'url'),
+      author: field(item, 'author') || null,
+      urlToImage: field(item, 'imageUrl') || null,
+      publishedAt: this.isoDate(field(item, 'publishedAt')),
+      source: { name: doc.title || null },
+      extra: Object.fromEntries(Object.keys(fields)
+        .filter(name => !(name in DEFAULT_FIELDS))
+        .map(name => [name, this.valueAt(item, fields[name]) ?? null]))
+    }));
+  }
+
+  // 'a.b.0.c' lookup; undefined when any step is missing
+  valueAt(value, path) {
+    if (!path) return undefined;
+    return String(path).split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), value);
+  }
+}
+
+export default JsonFeedSource;
@@ -0,0 +1,17 @@
+import newsApiClient from '../utils/newsApiClient.js';
+
+// NewsAPI /everything search, the default ingestion source
+class NewsApiSource {
+  constructor() {
+    this.name = 'newsapi';
+    this.type = 'newsapi';
+    this.description = 'NewsAPI.org article search';
+  }
+
+  async fetch(query, options = {}) {
+    const { articles, totalResults } = await newsApiClient.fetchNews(query, { sortBy: 'publishedAt', ...options });
+    return { articles, totalResults };
+  }
+}
+
+export default NewsApiSource;
@@ -0,0 +1,68 @@
+import { XMLParser } from 'fast-xml-parser';
+import FeedSource from './feedSource.js';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  trimValues: true
+});
+
+const list = value => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+// Element text whether the parser returned a string or an { '#text', '@_attr' } object
+const text = value => {
+  const first = list(value)[0];
+  return typeof first === 'object' && first !== null ? String(first['#text'] ?? '') : String(first ?? '');
+};
+
+// RSS 2.0, RSS 1.0 (RDF) and Atom feeds
+class RssFeedSource extends FeedSource {
+  parse(body) {
+    const doc = parser.parse(String(body || ''));
+    if (doc.rss?.channel) {
+      const channel = list(doc.rss.channel)[0];
+      return list(channel.item).map(item => this.rssItem(item, text(channel.title)));
+    }
+    if (doc['rdf:RDF']) {
+      const rdf = doc['rdf:RDF'];
+      return list(rdf.item).map(item => this.rssItem(item, text(list(rdf.channel)[0]?.title)));
+    }
+    if (doc.feed) {
+      return list(doc.feed.entry).map(entry => this.atomEntry(entry, text(doc.feed.title)));
+    }
+    throw new Error('Response is not an RSS or Atom feed');
+  }
+
+  rssItem(item, feedTitle) {
+    const image = list(item.enclosure).find(e => /^image\//.test(e['@_type'] || ''))?.['@_url']
+      || list(item['media:content'])[0]?.['@_url']
+      || list(item['media:thumbnail'])[0]?.['@_url'];
+    return {
+      title: this.plainText(text(item.title)),
+      description: this.plainText(text(item.description)),
+      content: this.plainText(text(item['content:encoded'])),
+      url: text(item.link) || (list(item.guid)[0]?.['@_isPermaLink'] !== 'false' ? text(item.guid) : ''),
+      author: text(item['dc:creator']) || text(item.author) || null,
+      urlToImage: image || null,
+      publishedAt: this.isoDate(text(item.pubDate) || text(item['dc:date'])),
+      source: { name: feedTitle }
+    };
+  }
+
+  atomEntry(entry, feedTitle) {
+    const links = list(entry.link);
+    const link = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+    return {
+      title: this.plainText(text(entry.title)),
+      description: this.plainText(text(entry.summary)),
+      content: this.plainText(text(entry.content)),
+      url: link?.['@_href'] || '',
+      author: text(list(entry.author)[0]?.name) || null,
+      urlToImage: null,
+      publishedAt: this.isoDate(text(entry.published) || text(entry.updated)),
+      source: { name: feedTitle }
+    };
+  }
+}
+
+export default RssFeedSource;
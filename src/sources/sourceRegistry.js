@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import NewsApiSource from './newsApiSource.js';
+import RssFeedSource from './rssFeedSource.js';
+import JsonFeedSource from './jsonFeedSource.js';
+import HttpError from '../utils/httpError.js';
+
+const DEFAULT_SOURCES_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../config/newsSources.json');
+const NEWS_SOURCES_PATH = process.env.NEWS_SOURCES_PATH || DEFAULT_SOURCES_PATH;
+const INGEST_ADAPTERS = process.env.INGEST_ADAPTERS || 'newsapi';
+
+const feedTypes = {
+  rss: config => new RssFeedSource(config),
+  atom: config => new RssFeedSource(config),
+  json: config => new JsonFeedSource(config)
+};
+
+const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(s => String(s).trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Named ingestion adapters: the built-in 'newsapi' plus the feeds configured
+ * in NEWS_SOURCES_PATH (JSON or YAML, `{ feeds: [{ name, type: 'rss'|'atom'|'json', url, ... }] }`).
+ * Every adapter exposes fetch(query, options) -> { articles, totalResults }
+ * with articles in the newsApiClient.processArticles shape.
+ */
+class SourceRegistry {
+  constructor() {
+    this.adapters = null;
+  }
+
+  load() {
+    if (this.adapters) return this.adapters;
+
+    let raw = { feeds: [] };
+    try {
+      const text = fs.readFileSync(NEWS_SOURCES_PATH, 'utf8');
+      raw = /\.ya?ml$/i.test(NEWS_SOURCES_PATH) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+      console.warn(`Could not load news sources from ${NEWS_SOURCES_PATH}:`, error.message);
+    }
+
+    const newsApi = new NewsApiSource();
+    this.adapters = new Map([[newsApi.name, newsApi]]);
+    for (const feed of raw?.feeds || []) {
+      const name = String(feed?.name || '').trim().toLowerCase();
+      const factory = feedTypes[String(feed?.type || '').toLowerCase()];
+      if (!name || !factory || !feed.url) {
+        console.warn(`Skipping news source ${JSON.stringify(feed?.name || feed)}: needs name, url and type (${Object.keys(feedTypes).join(', ')})`);
+      } else if (this.adapters.has(name)) {
+        console.warn(`Skipping duplicate news source '${name}'`);
+      } else {
+        this.adapters.set(name, factory({ ...feed, name, type: feed.type.toLowerCase() }));
+      }
+    }
+    return this.adapters;
+  }
+
+  list() {
+    const defaults = new Set(this.defaultNames());
+    return Array.from(this.load().values()).map(adapter => ({
+      name: adapter.name,
+      type: adapter.type,
+      description: adapter.description,
+      ...(adapter.config ? { url: adapter.config.url, source: adapter.config.source || null } : {}),
+      default: defaults.has(adapter.name)
+    }));
+  }
+
+  defaultNames() {
+    return list(INGEST_ADAPTERS);
+  }
+
+  /**
+   * Validate adapter names (array or comma-separated); empty selects INGEST_ADAPTERS.
+   * @returns {string[]}
+   */
+  resolve(names) {
+    const selected = list(names);
+    const wanted = selected.length ? Array.from(new Set(selected)) : this.defaultNames();
+    const unknown = wanted.filter(name => !this.load().has(name));
+    if (unknown.length) {
+      throw new HttpError(400, `Unknown news source adapter(s): ${unknown.join(', ')}. Available: ${Array.from(this.load().keys()).join(', ')}`);
+    }
+    return wanted;
+  }
+
+  /**
+   * Fetch from each adapter in parallel. Articles are tagged with the adapter
+   * that returned them; a failing adapter is reported without failing the
+   * others, and only an error from every adapter is thrown.
+   * @returns {Promise<{ articles, totalResults, adapters: Object<string, { found, error? }> }>}
+   */
+  async fetch(query, names, options = {}) {
+    const selected = this.resolve(names);
+    const results = await Promise.allSettled(selected.map(name => this.load().get(name).fetch(query, options)));
+
+    const articles = [];
+    const adapters = {};
+    results.forEach((result, i) => {
+      const name = selected[i];
+      if (result.status === 'fulfilled') {
+        articles.push(...result.value.articles.map(article => ({ ...article, adapter: name })));
+        adapters[name] = { found: result.value.articles.length };
+      } else {
+        console.warn(`News source '${name}' failed:`, result.reason?.message);
+        adapters[name] = { found: 0, error: result.reason?.message || String(result.reason) };
+      }
+    });
+
+    if (results.every(result => result.status === 'rejected')) {
+      throw new Error(selected.map(name => adapters[name].error).join('; '));
+    }
+    return { articles, totalResults: articles.length, adapters };
+  }
+}
+
+export default new SourceRegistry();
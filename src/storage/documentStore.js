@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DOCUMENT_STORE_PATH = process.env.DOCUMENT_STORE_PATH ?? './data/documents.json';
+
+/**
+ * Small JSON document store for application state that is not article data
+ * (watchlists, run history, ...). Collections live in memory and are written to
+ * DOCUMENT_STORE_PATH after every change; set it to an empty string to keep
+ * everything in memory only.
+ */
+class DocumentStore {
+  constructor() {
+    this.collections = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.collections) return this.collections;
+    this.collections = {};
+    if (DOCUMENT_STORE_PATH) {
+      try {
+        const raw = await fs.readFile(DOCUMENT_STORE_PATH, 'utf8');
+        this.collections = JSON.parse(raw) || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Could not read document store ${DOCUMENT_STORE_PATH}:`, error.message);
+        }
+      }
+    }
+    return this.collections;
+  }
+
+  // Serialize writes so concurrent updates never interleave on disk
+  persist() {
+    if (!DOCUMENT_STORE_PATH) return Promise.resolve();
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(path.resolve(DOCUMENT_STORE_PATH)), { recursive: true });
+        await fs.writeFile(DOCUMENT_STORE_PATH, JSON.stringify(this.collections));
+      })
+      .catch(error => console.warn(`Could not write document store ${DOCUMENT_STORE_PATH}:`, error.message));
+    return this.writeQueue;
+  }
+
+  async collection(name) {
+    const collections = await this.load();
+    if (!collections[name]) collections[name] = [];
+    return collections[name];
+  }
+
+  async list(name, predicate = null) {
+    const docs = await this.collection(name);
+    return predicate ? docs.filter(predicate) : [...docs];
+  }
+
+  async get(name, id) {
+    const docs = await this.collection(name);
+    return docs.find(doc => doc.id === id) || null;
+  }
+
+  async insert(name, doc) {
+    const docs = await this.collection(name);
+    const now = new Date().toISOString();
+    const created = { id: doc.id || crypto.randomUUID(), ...doc, createdAt: now, updatedAt: now };
+    docs.push(created);
+    await this.persist();
+    return created;
+  }
+
+  // `patch` may be a function of the stored document, for changes that build on its current value
+  async update(name, id, patch) {
+    const docs = await this.collection(name);
+    const doc = docs.find(d => d.id === id);
+    if (!doc) return null;
+    Object.assign(doc, typeof patch === 'function' ? patch(doc) : patch, { id, updatedAt: new Date().toISOString() });
+    await this.persist();
+    return doc;
+  }
+
+  async remove(name, id) {
+    const docs = await this.collection(name);
+    const index = docs.findIndex(d => d.id === id);
+    if (index === -1) return false;
+    docs.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  // Delete every document matching the predicate; returns how many were removed
+  async removeWhere(name, predicate) {
+    const docs = await this.collection(name);
+    const kept = docs.filter(doc => !predicate(doc));
+    const removed = docs.length - kept.length;
+    if (removed > 0) {
+      docs.splice(0, docs.length, ...kept);
+      await this.persist();
+    }
+    return removed;
+  }
+}
+
+export default new DocumentStore();
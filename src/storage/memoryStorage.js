@@ -0,0 +1,437 @@
+import fs from 'fs/promises';
+import path from 'path';
+import skillTaxonomy from '../utils/skillTaxonomy.js';
+import { withDemandTiers, growthFromWindows } from './skillGrowth.js';
+
+const LOCAL_STORE_PATH = process.env.LOCAL_STORE_PATH || '';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Fields an upsert may overwrite on an existing ID (tags compare by their joined string)
+const MUTABLE_FIELDS = ['title', 'body', 'source', 'tags', 'url', 'author', 'image_url', 'content'];
+// Fields the article embedding is computed from; changing one drops the stored embedding
+const EMBEDDED_FIELDS = ['title', 'body', 'content'];
+
+/**
+ * Embedded storage backend that keeps articles in process memory.
+ * Mirrors the BigQueryClient method surface and result shapes so routes and
+ * services work unchanged without a GCP project. When LOCAL_STORE_PATH is set
+ * the rows are snapshotted to that JSON file and reloaded on startup.
+ */
+class MemoryStorage {
+  constructor() {
+    this.backend = 'memory';
+    this.articles = null;
+  }
+
+  async initStore() {
+    if (this.articles) return this.articles;
+    this.articles = [];
+    if (LOCAL_STORE_PATH) {
+      try {
+        const raw = await fs.readFile(LOCAL_STORE_PATH, 'utf8');
+        const data = JSON.parse(raw);
+        this.articles = Array.isArray(data.articles) ? data.articles : [];
+        console.log(`Loaded ${this.articles.length} articles from ${LOCAL_STORE_PATH}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Could not read local store ${LOCAL_STORE_PATH}:`, error.message);
+        }
+      }
+    }
+    return this.articles;
+  }
+
+  async persist() {
+    if (!LOCAL_STORE_PATH) return;
+    await fs.mkdir(path.dirname(path.resolve(LOCAL_STORE_PATH)), { recursive: true });
+    await fs.writeFile(LOCAL_STORE_PATH, JSON.stringify({ articles: this.articles }));
+  }
+
+  async createDatasetAndTable() {
+    const existed = this.articles !== null;
+    await this.initStore();
+    await this.persist();
+    // Rows are schemaless objects, so there is never anything to migrate
+    return { dataset: 'memory', table: LOCAL_STORE_PATH || 'in-memory', created: !existed, migrated: [] };
+  }
+
+  // Kept for callers that only need a row count; writes are idempotent upserts
+  async insertNewsArticles(articles) {
+    const { inserted, updated } = await this.upsertNewsArticles(articles);
+    return inserted + updated;
+  }
+
+  async upsertNewsArticles(articles) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+      return { inserted: 0, updated: 0, unchanged: 0 };
+    }
+    try {
+      const store = await this.initStore();
+      const byId = new Map(store.map(row => [row.id, row]));
+      let inserted = 0;
+      let updated = 0;
+
+      for (const article of articles) {
+        const row = {
+          id: article.id,
+          title: article.title,
+          body: article.body || '',
+          source: article.source || '',
+          published_at: (article.publishedAt ? new Date(article.publishedAt) : new Date()).toISOString(),
+          tags: article.tags || [],
+          url: article.url || null,
+          author: article.author || null,
+          image_url: article.imageUrl || null,
+          content: article.content || null
+        };
+        const current = byId.get(row.id);
+        if (!current) {
+          const created = {
+            ...row,
+            ingested_at: new Date().toISOString(),
+            ingest_query: article.ingestQuery || null,
+            ingest_adapter: article.adapter || null
+          };
+          store.push(created);
+          byId.set(row.id, created);
+          inserted++;
+        } else if (MUTABLE_FIELDS.some(field => String(current[field] ?? '') !== String(row[field] ?? ''))) {
+          if (EMBEDDED_FIELDS.some(field => String(current[field] ?? '') !== String(row[field] ?? ''))) {
+            delete current.embedding;
+            delete current.embedding_model;
+          }
+          for (const field of MUTABLE_FIELDS) current[field] = row[field];
+          updated++;
+        }
+      }
+
+      await this.persist();
+      console.log(`Upserted ${articles.length} articles into in-memory store (${inserted} new, ${updated} updated)`);
+
+      return { inserted, updated, unchanged: articles.length - inserted - updated };
+    } catch (error) {
+      console.error('Error upserting articles:', error);
+      throw error;
+    }
+  }
+
+  // Recent IDs and titles, used for near-duplicate detection during ingestion
+  async queryRecentTitles(daysPast = 7) {
+    return (await this.recentArticles(daysPast)).map(row => ({ id: row.id, title: row.title }));
+  }
+
+  async queryTopTrends(daysPast = 7) {
+    return this.queryTopSkillsFiltered(daysPast, 10, []);
+  }
+
+  async getArticleCount() {
+    const store = await this.initStore();
+    return store.length;
+  }
+
+  // Top skills (optionally filtered by a list of liked skills), counted per
+  // canonical taxonomy name like the BigQuery backend
+  async queryTopSkillsFiltered(daysPast = 7, limit = 10, likedSkills = []) {
+    const filterByLikes = Array.isArray(likedSkills) && likedSkills.length > 0;
+    const liked = new Set(filterByLikes ? likedSkills.map(s => skillTaxonomy.canonicalize(s)) : []);
+    const aliases = new Map(skillTaxonomy.aliasPairs().map(a => [a.alias, a.canonical]));
+
+    const counts = new Map();
+    for (const row of await this.recentArticles(daysPast)) {
+      const skills = new Set((row.tags || []).map(tag => {
+        const lower = String(tag).toLowerCase();
+        return aliases.get(lower) || lower;
+      }));
+      for (const skill of skills) {
+        if (filterByLikes && !liked.has(skill)) continue;
+        counts.set(skill, (counts.get(skill) || 0) + 1);
+      }
+    }
+
+    return this.rankCounts(counts, 'skill', 'mentions', limit);
+  }
+
+  // Skill growth vs the previous window and trailing baseline, like the BigQuery backend
+  async querySkillGrowth(daysPast = 7, limit = 10, baselineWindows = 4) {
+    const windowDays = daysPast + 1;
+    const store = await this.initStore();
+    const aliases = new Map(skillTaxonomy.aliasPairs().map(a => [a.alias, a.canonical]));
+    const today = Date.parse(new Date().toISOString().slice(0, 10));
+
+    // skill -> window index -> Set of article IDs
+    const windows = new Map();
+    for (const row of store) {
+      const dayDiff = Math.floor((today - Date.parse(row.published_at.slice(0, 10))) / DAY_MS);
+      if (dayDiff < 0) continue;
+      const w = Math.floor(dayDiff / windowDays);
+      if (w > baselineWindows) continue;
+      for (const tag of row.tags || []) {
+        const lower = String(tag).toLowerCase();
+        const skill = aliases.get(lower) || lower;
+        if (!windows.has(skill)) windows.set(skill, []);
+        const perWindow = windows.get(skill);
+        if (!perWindow[w]) perWindow[w] = new Set();
+        perWindow[w].add(row.id);
+      }
+    }
+
+    const rows = Array.from(windows, ([skill, perWindow]) =>
+      growthFromWindows(skill, Array.from({ length: baselineWindows + 1 }, (_, w) => perWindow[w]?.size || 0), baselineWindows))
+      .filter(row => row.mentions > 0)
+      .sort((a, b) => b.mentions - a.mentions || a.skill.localeCompare(b.skill))
+      .slice(0, limit);
+
+    return withDemandTiers(rows);
+  }
+
+  // Get recent articles that match any of the provided tags (or their taxonomy aliases)
+  async queryArticlesByTags(tags = [], daysPast = 7, limit = 10) {
+    if (!Array.isArray(tags)) tags = [];
+    const wanted = new Set(skillTaxonomy.expand(tags));
+
+    return (await this.recentArticles(daysPast))
+      .filter(row => (row.tags || []).length > 0)
+      .filter(row => wanted.size === 0 || row.tags.some(tag => wanted.has(String(tag).toLowerCase())))
+      .sort(byPublishedDesc)
+      .slice(0, limit)
+      .map(toArticleRow);
+  }
+
+  // Up to `perTag` recent articles for each tag (or taxonomy alias), with the `matched_tag` they were selected for
+  async queryArticlesPerTag(tags = [], daysPast = 7, perTag = 3) {
+    if (!Array.isArray(tags) || tags.length === 0) return [];
+    const wanted = new Set(skillTaxonomy.expand(tags));
+    const counts = new Map();
+    const rows = [];
+    for (const row of (await this.recentArticles(daysPast)).sort(byPublishedDesc)) {
+      for (const tag of new Set((row.tags || []).map(t => String(t).toLowerCase()))) {
+        if (!wanted.has(tag) || (counts.get(tag) || 0) >= perTag) continue;
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+        rows.push({ ...toArticleRow(row), matched_tag: tag });
+      }
+    }
+    return rows;
+  }
+
+  // Get recent articles that match any of the provided keywords in title or body
+  async queryArticlesByKeywords(keywords = [], daysPast = 7, limit = 10) {
+    if (!Array.isArray(keywords)) keywords = [];
+    const kws = keywords.map(k => k.toLowerCase());
+
+    return (await this.recentArticles(daysPast))
+      .filter(row => kws.length === 0 || kws.some(kw =>
+        (row.title || '').toLowerCase().includes(kw) || (row.body || '').toLowerCase().includes(kw)))
+      .sort(byPublishedDesc)
+      .slice(0, limit)
+      .map(toArticleRow);
+  }
+
+  // Top sources in the period
+  async queryTopSources(daysPast = 7, limit = 10) {
+    const counts = new Map();
+    for (const row of await this.recentArticles(daysPast)) {
+      counts.set(row.source, (counts.get(row.source) || 0) + 1);
+    }
+    return this.rankCounts(counts, 'source', 'count', limit);
+  }
+
+  // Volume by day for the given window
+  async queryVolumeByDay(daysPast = 7) {
+    const counts = new Map();
+    for (const row of await this.recentArticles(daysPast)) {
+      const day = row.published_at.slice(0, 10);
+      counts.set(day, (counts.get(day) || 0) + 1);
+    }
+    return Array.from(counts, ([day, count]) => ({ day, count }))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  // Recent articles with no embedding from `model` yet, newest first
+  async queryArticlesWithoutEmbedding(model, daysPast = 30, limit = 100) {
+    return (await this.recentArticles(daysPast))
+      .filter(row => row.embedding_model !== model || !row.embedding?.length)
+      .sort(byPublishedDesc)
+      .slice(0, limit)
+      .map(toArticleRow);
+  }
+
+  // Store embeddings ([{ id, embedding, model }]); returns how many articles were updated
+  async updateArticleEmbeddings(rows = []) {
+    const byId = new Map((await this.initStore()).map(row => [row.id, row]));
+    let updated = 0;
+    for (const { id, embedding, model } of rows) {
+      const row = byId.get(id);
+      if (!row) continue;
+      row.embedding = embedding;
+      row.embedding_model = model;
+      updated++;
+    }
+    if (updated > 0) await this.persist();
+    return updated;
+  }
+
+  // Recent articles ranked by cosine similarity between their embedding and `vector`
+  async querySimilarArticles(vector, model, daysPast = 30, limit = 5) {
+    return (await this.recentArticles(daysPast))
+      .filter(row => row.embedding_model === model && row.embedding?.length === vector.length)
+      .map(row => ({ ...toArticleRow(row), similarity: round4(cosineSimilarity(vector, row.embedding)) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Page of stored articles sorted by published or ingested time, newest first
+   * unless order is 'asc'. from/to bound the sorted time field. Keyset
+   * pagination on (time, id) via `after: { value, id }`.
+   */
+  async listArticles({
+    sort = 'published', order = 'desc', from = null, to = null, sources = [], tags = [],
+    ingestQuery = null, adapters = [], after = null, limit = 20
+  } = {}) {
+    const timeOf = sort === 'ingested' ? row => row.ingested_at || row.published_at : row => row.published_at;
+    const desc = order !== 'asc';
+    const wantedSources = new Set(sources.map(s => s.toLowerCase()));
+    const wantedTags = new Set(tags);
+    const query = ingestQuery ? ingestQuery.toLowerCase() : null;
+    const wantedAdapters = new Set(adapters.map(a => a.toLowerCase()));
+
+    return (await this.initStore())
+      .filter(row => {
+        const time = timeOf(row);
+        if (from && time < from) return false;
+        if (to && time > to) return false;
+        if (wantedSources.size && !wantedSources.has(String(row.source || '').toLowerCase())) return false;
+        if (wantedTags.size && !(row.tags || []).some(tag => wantedTags.has(String(tag).toLowerCase()))) return false;
+        if (query && String(row.ingest_query || '').toLowerCase() !== query) return false;
+        if (wantedAdapters.size && !wantedAdapters.has(String(row.ingest_adapter || '').toLowerCase())) return false;
+        if (after) {
+          const beyond = desc ? time < after.value : time > after.value;
+          if (!beyond && !(time === after.value && row.id > after.id)) return false;
+        }
+        return true;
+      })
+      .sort((a, b) => (desc ? timeOf(b).localeCompare(timeOf(a)) : timeOf(a).localeCompare(timeOf(b))) || (a.id < b.id ? -1 : 1))
+      .slice(0, limit)
+      .map(toStoredArticle);
+  }
+
+  // One article with its ingest metadata, or null
+  async getArticle(id) {
+    const row = (await this.initStore()).find(r => r.id === id);
+    return row ? toStoredArticle(row) : null;
+  }
+
+  // Returns true when the article existed
+  async deleteArticle(id) {
+    const store = await this.initStore();
+    const index = store.findIndex(r => r.id === id);
+    if (index === -1) return false;
+    store.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Ranked article search, scored like the BigQuery backend:
+   * keyword score = share of patterns found (title hit 2, body/content hit 1),
+   * semantic score = cosine similarity to `vector`, score = weighted sum.
+   * Pagination is keyset on (score DESC, id ASC) via `after: { score, id }`.
+   */
+  async searchArticles({
+    patterns = [], vector = null, model = null, keywordWeight = 1, semanticWeight = 0, minSimilarity = 0,
+    from = null, to = null, sources = [], tags = [], textPattern = null, after = null, limit = 20
+  } = {}) {
+    const termRegexes = patterns.map(p => new RegExp(p));
+    const textRegex = textPattern ? new RegExp(textPattern) : null;
+    const wantedSources = new Set(sources.map(s => s.toLowerCase()));
+    const wantedTags = new Set(tags);
+
+    const results = [];
+    for (const row of await this.initStore()) {
+      if (from && row.published_at < from) continue;
+      if (to && row.published_at > to) continue;
+      if (wantedSources.size && !wantedSources.has(String(row.source || '').toLowerCase())) continue;
+      if (wantedTags.size && !(row.tags || []).some(tag => wantedTags.has(String(tag).toLowerCase()))) continue;
+      const title = String(row.title || '').toLowerCase();
+      const text = `${row.body || ''} ${row.content || ''}`.toLowerCase();
+      if (textRegex && !textRegex.test(`${title} ${row.body || ''} ${(row.tags || []).join(' ')}`.toLowerCase())) continue;
+
+      const keywordScore = termRegexes.length
+        ? termRegexes.reduce((sum, re) => sum + (re.test(title) ? 2 : 0) + (re.test(text) ? 1 : 0), 0) / (3 * termRegexes.length)
+        : 0;
+      const embedded = vector && row.embedding_model === model && row.embedding?.length === vector.length;
+      const semanticScore = embedded ? cosineSimilarity(vector, row.embedding) : 0;
+      const matched = (keywordWeight > 0 && keywordScore > 0) || (semanticWeight > 0 && embedded && semanticScore >= minSimilarity);
+      if (!matched) continue;
+
+      const score = round4(keywordWeight * keywordScore + semanticWeight * semanticScore);
+      if (after && !(score < after.score || (score === after.score && row.id > after.id))) continue;
+      results.push({ ...toArticleRow(row), score, keywordScore: round4(keywordScore), semanticScore: round4(semanticScore) });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  // Same cut-off as DATE(published_at) >= DATE_SUB(CURRENT_DATE(), INTERVAL n DAY) in UTC
+  async recentArticles(daysPast) {
+    const store = await this.initStore();
+    const cutoff = new Date(Date.now() - daysPast * DAY_MS).toISOString().slice(0, 10);
+    return store.filter(row => row.published_at.slice(0, 10) >= cutoff);
+  }
+
+  rankCounts(counts, keyName, countName, limit) {
+    return Array.from(counts, ([key, value]) => ({ [keyName]: key, [countName]: value }))
+      .sort((a, b) => b[countName] - a[countName])
+      .slice(0, limit);
+  }
+}
+
+function byPublishedDesc(a, b) {
+  return b.published_at.localeCompare(a.published_at);
+}
+
+// Scores are compared across pages, so both backends round them the same way
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function toArticleRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    body: row.body,
+    source: row.source,
+    published_at: row.published_at,
+    tags: row.tags || [],
+    url: row.url ?? null,
+    author: row.author ?? null,
+    image_url: row.image_url ?? null,
+    content: row.content ?? null
+  };
+}
+
+// Article row plus ingest metadata, as returned by listArticles/getArticle
+function toStoredArticle(row) {
+  return {
+    ...toArticleRow(row),
+    ingested_at: row.ingested_at || null,
+    ingest_query: row.ingest_query || null,
+    ingest_adapter: row.ingest_adapter || null,
+    embedding_model: row.embedding?.length ? row.embedding_model : null
+  };
+}
+
+export default MemoryStorage;
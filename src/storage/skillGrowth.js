@@ -0,0 +1,52 @@
+// Shared by every storage backend so growth rows are classified identically.
+
+/**
+ * Demand tier from volume relative to the busiest skill in the result and the
+ * z-score against the trailing baseline:
+ * - High: at least half the top skill's mentions, or z >= 1.5 (breaking out)
+ * - Low: under a fifth of the top skill's mentions and not above baseline
+ * - Medium: everything else
+ */
+function classifyDemand(row, topMentions) {
+  const share = topMentions > 0 ? row.mentions / topMentions : 0;
+  if (share >= 0.5 || (row.zScore !== null && row.zScore >= 1.5)) return 'High';
+  if (share < 0.2 && (row.zScore === null || row.zScore <= 0)) return 'Low';
+  return 'Medium';
+}
+
+function withDemandTiers(rows = []) {
+  const topMentions = rows.reduce((max, r) => Math.max(max, r.mentions), 0);
+  return rows.map(row => ({ ...row, demandTier: classifyDemand(row, topMentions) }));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Growth fields from per-window mention counts. Window 0 is the current period,
+ * 1 the previous equal-length one, 1..baselineWindows the trailing baseline.
+ * @param {string} skill
+ * @param {number[]} counts - mentions per window index (missing windows count as 0)
+ * @param {number} baselineWindows
+ */
+function growthFromWindows(skill, counts, baselineWindows) {
+  const mentions = counts[0] || 0;
+  const previousMentions = counts[1] || 0;
+  const baseline = Array.from({ length: baselineWindows }, (_, i) => counts[i + 1] || 0);
+  const mean = baseline.reduce((a, b) => a + b, 0) / baselineWindows;
+  const variance = baseline.reduce((a, b) => a + b * b, 0) / baselineWindows - mean * mean;
+  const stddev = Math.sqrt(Math.max(variance, 0));
+
+  return {
+    skill,
+    mentions,
+    previousMentions,
+    growthPct: previousMentions > 0 ? round(((mentions - previousMentions) * 100) / previousMentions, 1) : null,
+    baselineMentions: round(mean, 2),
+    zScore: stddev > 0 ? round((mentions - mean) / stddev, 2) : null
+  };
+}
+
+export { classifyDemand, withDemandTiers, growthFromWindows };
@@ -0,0 +1,58 @@
+import BigQueryClient from '../gcpclient/bigqueryClient.js';
+import MemoryStorage from './memoryStorage.js';
+import cacheClient from '../cache/cacheClient.js';
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'bigquery').toLowerCase();
+
+// Every backend exposes the same methods (createDatasetAndTable, insertNewsArticles,
+// queryTopTrends, queryTopSkillsFiltered, queryArticlesByTags, queryArticlesPerTag, queryArticlesByKeywords,
+// queryTopSources, queryVolumeByDay, getArticleCount, queryArticlesWithoutEmbedding,
+// updateArticleEmbeddings, querySimilarArticles, searchArticles, listArticles, getArticle,
+// deleteArticle) and identical row shapes.
+const backends = {
+  bigquery: BigQueryClient,
+  memory: MemoryStorage,
+  local: MemoryStorage
+};
+
+// Read queries served through the cache; writes and ingest-time dedup lookups always hit storage
+const CACHED_QUERIES = [
+  'queryTopTrends',
+  'queryTopSkillsFiltered',
+  'querySkillGrowth',
+  'queryArticlesByTags',
+  'queryArticlesPerTag',
+  'queryArticlesByKeywords',
+  'queryTopSources',
+  'queryVolumeByDay',
+  'getArticleCount'
+];
+
+// Numeric strings become numbers and string lists are lowercased and sorted, so
+// ('7', ['Python','AI']) and (7, ['ai','python']) share a cache entry
+function normalizeArg(value) {
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (Array.isArray(value) && value.every(v => typeof v === 'string')) {
+    return [...new Set(value.map(v => v.trim().toLowerCase()).filter(Boolean))].sort();
+  }
+  return value;
+}
+
+function withCache(client, name) {
+  for (const method of CACHED_QUERIES) {
+    const query = client[method].bind(client);
+    client[method] = (...args) => cacheClient.wrap('storage', [name, method, args.map(normalizeArg)], () => query(...args));
+  }
+  return client;
+}
+
+function createStorageClient(name = STORAGE_BACKEND) {
+  const Backend = backends[name];
+  if (!Backend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+  return withCache(new Backend(), name);
+}
+
+export { createStorageClient };
+export default createStorageClient();
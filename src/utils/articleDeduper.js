@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+
+const NEAR_DUP_THRESHOLD = Number(process.env.NEAR_DUP_THRESHOLD || 0.8);
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|cmpid|ocid)$/i;
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from', 'is', 'are', 'as']);
+
+class ArticleDeduper {
+  /**
+   * Stable, content-derived article ID. Prefers the canonical URL and falls back
+   * to source + normalized title when the feed has no link.
+   */
+  articleId(article = {}) {
+    const url = this.normalizeUrl(article.url);
+    const key = url || `${(article.source || '').toLowerCase()}|${this.normalizeTitle(article.title).join(' ')}`;
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+  }
+
+  normalizeUrl(rawUrl) {
+    if (!rawUrl) return '';
+    try {
+      const url = new URL(rawUrl);
+      url.hash = '';
+      for (const param of Array.from(url.searchParams.keys())) {
+        if (TRACKING_PARAMS.test(param)) url.searchParams.delete(param);
+      }
+      url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+      const pathname = url.pathname.replace(/\/+$/, '');
+      const search = url.searchParams.toString();
+      return `${url.hostname}${pathname}${search ? `?${search}` : ''}`;
+    } catch {
+      return String(rawUrl).trim().toLowerCase();
+    }
+  }
+
+  // Title tokens with the syndication suffix (" - Reuters", " | TechCrunch") removed
+  normalizeTitle(title) {
+    return String(title || '')
+      .toLowerCase()
+      .replace(/\s+[-|–—]\s+[^-|–—]{2,60}$/, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(token => token && !STOPWORDS.has(token));
+  }
+
+  similarity(tokensA, tokensB) {
+    const a = new Set(tokensA);
+    const b = new Set(tokensB);
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared++;
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Split a batch into unique articles and duplicates. An article is a duplicate
+   * when an earlier article in the batch has the same ID, or when its title is a
+   * near match (Jaccard >= NEAR_DUP_THRESHOLD) for an earlier article or a stored
+   * one with a different ID (the same story syndicated by another source).
+   *
+   * @param {Array} articles - processed articles with `id` and `title`
+   * @param {Array} [existing] - stored rows `{ id, title }` to compare against
+   */
+  dedupe(articles = [], existing = []) {
+    const seenIds = new Set();
+    const known = existing.map(row => ({ id: row.id, tokens: this.normalizeTitle(row.title) }));
+    const unique = [];
+    const duplicates = [];
+
+    for (const article of articles) {
+      if (seenIds.has(article.id)) {
+        duplicates.push({ id: article.id, title: article.title, reason: 'same-id' });
+        continue;
+      }
+      const tokens = this.normalizeTitle(article.title);
+      const match = known.find(row => row.id !== article.id && this.similarity(tokens, row.tokens) >= NEAR_DUP_THRESHOLD);
+      if (match) {
+        duplicates.push({ id: article.id, title: article.title, reason: 'near-duplicate', duplicateOf: match.id });
+        continue;
+      }
+      seenIds.add(article.id);
+      known.push({ id: article.id, tokens });
+      unique.push(article);
+    }
+
+    return { unique, duplicates };
+  }
+}
+
+export default new ArticleDeduper();
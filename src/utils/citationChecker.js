@@ -0,0 +1,59 @@
+// Citation markers: one or more refs in brackets, e.g. [A1], [P2, G1]
+const MARKER = /(\s?)\[([A-Z]\d+(?:\s*[,;]\s*[A-Z]\d+)*)\]/g;
+
+/**
+ * Post-check for model answers that cite their inputs with bracketed refs
+ * ([A1] article, [P1] policy, [G1] geo answer, [T1] trend, [R1]/[D1] synthesis
+ * input passage). Refs missing from the prompt's catalog are dropped from the
+ * text; the rest become a `citations` list of the sources actually used.
+ */
+class CitationChecker {
+  /**
+   * @param {string} text - model output
+   * @param {Object[]} catalog - citable sources given to the prompt, each with a unique `ref` and a `type`
+   * @returns {{ text: string, citations: Object[], dropped: string[] }} text without unknown refs;
+   *   citations in order of first use, each with the 1-based `paragraphs` (non-empty lines) citing it
+   */
+  check(text = '', catalog = []) {
+    const byRef = new Map(catalog.map(source => [source.ref, source]));
+    const dropped = new Set();
+
+    const cleaned = String(text || '').replace(MARKER, (marker, space, group) => {
+      const refs = group.split(/\s*[,;]\s*/);
+      const valid = Array.from(new Set(refs.filter(ref => byRef.has(ref))));
+      refs.filter(ref => !byRef.has(ref)).forEach(ref => dropped.add(ref));
+      if (valid.length === refs.length) return marker;
+      return valid.length ? `${space}[${valid.join(', ')}]` : '';
+    });
+
+    const used = new Map();
+    cleaned.split('\n').filter(line => line.trim()).forEach((line, i) => {
+      for (const [, , group] of line.matchAll(MARKER)) {
+        for (const ref of group.split(/\s*[,;]\s*/)) {
+          if (!used.has(ref)) used.set(ref, { ...byRef.get(ref), paragraphs: [] });
+          const paragraphs = used.get(ref).paragraphs;
+          if (paragraphs[paragraphs.length - 1] !== i + 1) paragraphs.push(i + 1);
+        }
+      }
+    });
+
+    return { text: cleaned, citations: Array.from(used.values()), dropped: Array.from(dropped) };
+  }
+
+  // Refs cited in a text, e.g. to mark which of a prompt's sources an answer used
+  refs(text = '') {
+    const found = new Set();
+    for (const [, , group] of String(text || '').matchAll(MARKER)) {
+      group.split(/\s*[,;]\s*/).forEach(ref => found.add(ref));
+    }
+    return found;
+  }
+
+  // Catalog entries whose ref survived into the built prompt; sections cut to fit the token budget lose theirs
+  listed(catalog = [], prompt = '') {
+    const present = this.refs(prompt);
+    return catalog.filter(source => present.has(source.ref));
+  }
+}
+
+export default new CitationChecker();
@@ -0,0 +1,223 @@
+import axios from 'axios';
+import geoMock from './geoMock.js';
+import policyExtractor from './policyExtractor.js';
+
+const GEO_DATA_API_URL = (process.env.GEO_DATA_API_URL || '').replace(/\/$/, '');
+const GEO_ADAPTER = (process.env.GEO_ADAPTER || (GEO_DATA_API_URL ? 'http' : 'none')).trim().toLowerCase();
+const GEO_QUERY_TIMEOUT_MS = Number(process.env.GEO_QUERY_TIMEOUT_MS || 10000);
+const GEO_RETRIES = Math.max(Number.parseInt(process.env.GEO_RETRIES ?? '2', 10) || 0, 0);
+const GEO_RETRY_DELAY_MS = Number(process.env.GEO_RETRY_DELAY_MS || 300);
+const GEO_BREAKER_THRESHOLD = Math.max(Number.parseInt(process.env.GEO_BREAKER_THRESHOLD, 10) || 3, 1);
+const GEO_BREAKER_COOLDOWN_MS = Number(process.env.GEO_BREAKER_COOLDOWN_MS || 60000);
+const MAX_ANSWER_LENGTH = 6000;
+
+// Transports behind the retry and circuit-breaker logic; each resolves to { status, data }
+const adapters = {
+  http: async (question, signal) => {
+    const resp = await axios.post(`${GEO_DATA_API_URL}/query`, { question }, { signal, validateStatus: () => true });
+    return { status: resp.status, data: resp.data };
+  },
+  mock: (question, signal) => geoMock.query(question, { signal })
+};
+
+if (GEO_ADAPTER !== 'none' && !adapters[GEO_ADAPTER]) {
+  console.warn(`Unknown GEO_ADAPTER '${GEO_ADAPTER}' (expected http, mock or none); geo service disabled`);
+} else if (GEO_ADAPTER === 'http' && !GEO_DATA_API_URL) {
+  console.warn('GEO_ADAPTER=http needs GEO_DATA_API_URL; geo service disabled');
+}
+
+const list = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+/**
+ * Client for the optional external geo/policy service (POST /query). Policy
+ * context comes from the policy store; this service adds to it when an adapter
+ * is configured:
+ * - `http`: GEO_DATA_API_URL (the default when it is set)
+ * - `mock`: the bundled geo mock, in-process
+ *
+ * Each query gets GEO_QUERY_TIMEOUT_MS per attempt and up to GEO_RETRIES
+ * retries with exponential backoff on timeouts, network errors, 429 and 5xx.
+ * After GEO_BREAKER_THRESHOLD queries in a row fail with a timeout, network
+ * error or 5xx the circuit opens and queries are skipped for
+ * GEO_BREAKER_COOLDOWN_MS; then one trial query (half-open) decides whether it
+ * closes again. Any other answer (a 4xx or an unusable body) shows the
+ * upstream is reachable: it fails the query but resets the breaker. Responses
+ * are normalized to { answer, regions, policies, sources } whatever the
+ * upstream's field names.
+ */
+class GeoApiClient {
+  constructor() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get enabled() {
+    return Boolean(adapters[GEO_ADAPTER]) && (GEO_ADAPTER !== 'http' || Boolean(GEO_DATA_API_URL));
+  }
+
+  get adapter() {
+    return this.enabled ? GEO_ADAPTER : 'none';
+  }
+
+  // closed: queries go through; open: skipped until the cooldown ends; half-open: one trial query allowed
+  get circuit() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= GEO_BREAKER_COOLDOWN_MS ? 'half-open' : 'open';
+  }
+
+  /**
+   * Query the geo service; never throws.
+   * @param {string} question
+   * @returns {Promise<{ adapter, circuit, status, attempts, latencyMs, payload, raw, error }>}
+   *   `circuit` is the state the query found; `status` is ok | failed | skipped | disabled
+   */
+  async query(question) {
+    const started = Date.now();
+    const result = { adapter: this.adapter, circuit: this.circuit, status: 'disabled', attempts: 0, latencyMs: 0, payload: null, raw: null, error: null };
+    if (!this.enabled) {
+      return { ...result, error: 'Geo service not configured (set GEO_DATA_API_URL or GEO_ADAPTER=mock)' };
+    }
+    if (result.circuit === 'open' || (result.circuit === 'half-open' && this.trialInFlight)) {
+      const retryAt = new Date(this.openedAt + GEO_BREAKER_COOLDOWN_MS).toISOString();
+      return { ...result, status: 'skipped', error: `Geo API circuit open after ${this.failures} failed queries; next attempt after ${retryAt}` };
+    }
+
+    // A half-open trial gets a single attempt so a still-failing upstream is not retried;
+    // only the trial itself clears the flag, so queries arriving meanwhile stay skipped
+    const trial = result.circuit === 'half-open';
+    if (trial) this.trialInFlight = true;
+    const maxAttempts = trial ? 1 : GEO_RETRIES + 1;
+    let lastError = null;
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (attempt > 1) await this.sleep(this.backoff(attempt - 1));
+        result.attempts = attempt;
+        try {
+          const { payload, raw } = await this.attempt(question);
+          this.recordSuccess();
+          return { ...result, status: 'ok', latencyMs: Date.now() - started, payload, raw };
+        } catch (error) {
+          lastError = error;
+          if (!error.retryable) break;
+        }
+      }
+      if (lastError.tripsBreaker) {
+        this.recordFailure(lastError);
+      } else {
+        console.warn('Geo API query failed (upstream reachable, not counted by the circuit breaker):', lastError.message);
+        this.recordSuccess();
+      }
+      return { ...result, status: 'failed', latencyMs: Date.now() - started, raw: lastError.data ?? null, error: lastError.message };
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  // One request with its own timeout; throws errors flagged `retryable` and `tripsBreaker`
+  async attempt(question) {
+    const controller = GEO_QUERY_TIMEOUT_MS > 0 ? new AbortController() : null;
+    const timeoutId = controller ? setTimeout(() => controller.abort(), GEO_QUERY_TIMEOUT_MS) : null;
+    try {
+      const { status, data } = await adapters[GEO_ADAPTER](question, controller?.signal);
+      if (status < 200 || status >= 300) {
+        throw this.failure(`Geo API ${status}`, status === 429 || status >= 500, data, status >= 500);
+      }
+      const payload = this.normalize(data);
+      if (!payload) throw this.failure('Geo API returned no answer or policies', false, data);
+      return { payload, raw: data };
+    } catch (error) {
+      if (controller?.signal.aborted) {
+        throw this.failure(`Geo API timeout after ${GEO_QUERY_TIMEOUT_MS}ms (set GEO_QUERY_TIMEOUT_MS to adjust or 0 for no timeout)`, true, null, true);
+      }
+      // Connection refused, DNS and other network errors are worth another try and count as an outage
+      if (error.retryable === undefined) {
+        error.retryable = true;
+        error.tripsBreaker = true;
+      }
+      throw error;
+    } finally {
+      if (timeoutId) clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Upstream response in the common shape. Accepts plain text, `{ data: {...} }`
+   * envelopes, answer/response/summary/text fields, policies/regulations/items
+   * lists and snake_case policy fields.
+   * @returns {{ answer, regions, policies, sources }|null} null when there is neither an answer nor policies
+   */
+  normalize(data) {
+    if (typeof data === 'string') {
+      const text = data.trim();
+      return text ? { answer: text.slice(0, MAX_ANSWER_LENGTH), regions: [], policies: [], sources: [] } : null;
+    }
+    if (!data || typeof data !== 'object') return null;
+    const body = Array.isArray(data) ? { policies: data } : (data.data && typeof data.data === 'object' && !Array.isArray(data.data) ? data.data : data);
+
+    const answer = ['answer', 'response', 'summary', 'text', 'result'].map(key => body[key]).find(value => typeof value === 'string' && value.trim());
+    const policies = list(body.policies || body.regulations || body.items).map(item => this.normalizePolicy(item)).filter(Boolean);
+    const regions = Array.from(new Set(list(body.regions || body.region || body.countries)
+      .map(region => policyExtractor.region(typeof region === 'string' ? region : region?.name))
+      .filter(Boolean)));
+    const sources = list(body.sources || body.citations || body.references)
+      .map(source => (typeof source === 'string' ? { title: null, url: source } : { title: source?.title || source?.name || null, url: source?.url || source?.link || null }))
+      .filter(source => source.title || source.url);
+
+    if (!answer && policies.length === 0) return null;
+    return { answer: answer ? answer.trim().slice(0, MAX_ANSWER_LENGTH) : null, regions, policies, sources };
+  }
+
+  // Policy record in the policy store's shape (see policyExtractor.extract)
+  normalizePolicy(item) {
+    const doc = typeof item === 'string' ? { title: item } : item;
+    if (!doc || typeof doc !== 'object') return null;
+    return policyExtractor.extract({
+      ...doc,
+      title: doc.title || doc.name,
+      summary: doc.summary || doc.description || doc.abstract,
+      url: doc.url || doc.link,
+      effectiveDate: doc.effectiveDate || doc.effective_date || doc.effective_on,
+      deadline: doc.deadline || doc.deadline_date || doc.comments_close_on,
+      affectedRoles: doc.affectedRoles || doc.affected_roles || doc.roles,
+      publishedAt: doc.publishedAt || doc.published_at || doc.publication_date
+    }, { source: 'Geo API' });
+  }
+
+  recordSuccess() {
+    if (this.openedAt !== null) console.log('Geo API circuit closed after a trial query reached the upstream');
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    const trial = this.openedAt !== null;
+    if (trial || this.failures >= GEO_BREAKER_THRESHOLD) {
+      this.openedAt = Date.now();
+      console.warn(`Geo API circuit open for ${GEO_BREAKER_COOLDOWN_MS}ms after ${trial ? 'a failed trial query' : `${this.failures} failed queries`}:`, error.message);
+    } else {
+      console.warn('Geo API query failed:', error.message);
+    }
+  }
+
+  // `tripsBreaker`: the upstream looks down (timeout, network error, 5xx), as opposed to rejecting this query
+  failure(message, retryable, data = null, tripsBreaker = false) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    error.tripsBreaker = tripsBreaker;
+    error.data = data;
+    return error;
+  }
+
+  // Exponential backoff with jitter: ~delay, 2x delay, 4x delay, ...
+  backoff(retry) {
+    return GEO_RETRY_DELAY_MS * 2 ** (retry - 1) + Math.floor(Math.random() * GEO_RETRY_DELAY_MS / 2);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default new GeoApiClient();
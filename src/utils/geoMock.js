@@ -0,0 +1,85 @@
+import regionMatcher from './regionMatcher.js';
+
+const GEO_MOCK_DELAY_MS = Number(process.env.GEO_MOCK_DELAY_MS || 200);
+const GEO_MOCK_FAILURE_RATE = Math.min(Math.max(Number(process.env.GEO_MOCK_FAILURE_RATE || 0), 0), 1);
+const GEO_MOCK_FAILURE_STATUS = Number(process.env.GEO_MOCK_FAILURE_STATUS || 503);
+
+// Synthetic policies per region; dates are relative to today so upcoming/deadline handling can be exercised
+const POLICIES = {
+  'United States': [
+    { title: 'Mock: Federal AI procurement rule', summary: 'Agencies must document risk assessments for AI systems they buy.', status: 'proposed rule', deadlineInDays: 30, effectiveInDays: 120, roles: ['AI Engineer', 'Compliance Officer'] },
+    { title: 'Mock: H-1B registration update', summary: 'Employers register visa candidates through an updated selection process.', status: 'final rule', effectiveInDays: -60, roles: ['International Student', 'Software Engineer'] }
+  ],
+  India: [
+    { title: 'Mock: Personal data protection rules', summary: 'Data fiduciaries must appoint a grievance officer and report breaches.', status: 'upcoming', effectiveInDays: 90, deadlineInDays: 60, roles: ['Data Engineer', 'Privacy Officer'] }
+  ],
+  'European Union': [
+    { title: 'Mock: AI system transparency obligations', summary: 'Providers of general-purpose AI models publish training data summaries.', status: 'active', effectiveInDays: -30, roles: ['AI Engineer', 'Data Scientist'] }
+  ],
+  'United Kingdom': [
+    { title: 'Mock: AI assurance consultation', summary: 'Government seeks views on third-party assurance for AI systems.', status: 'consultation', deadlineInDays: 21, roles: ['Policy Analyst'] }
+  ]
+};
+
+/**
+ * Stand-in for the external geo/policy service, answering POST /query with
+ * synthetic policies for the regions a question names. Used in-process by
+ * GEO_ADAPTER=mock and served over HTTP by scripts/geoMockServer.js.
+ * GEO_MOCK_DELAY_MS and GEO_MOCK_FAILURE_RATE simulate a slow or failing upstream.
+ */
+class GeoMock {
+  /**
+   * @param {string} question
+   * @param {Object} [options] - { signal } aborts the simulated delay
+   * @returns {Promise<{ status: number, data: Object }>}
+   */
+  async query(question, { signal } = {}) {
+    await this.delay(GEO_MOCK_DELAY_MS, signal);
+    if (Math.random() < GEO_MOCK_FAILURE_RATE) {
+      return { status: GEO_MOCK_FAILURE_STATUS, data: { error: 'Simulated geo service failure' } };
+    }
+    if (!String(question || '').trim()) {
+      return { status: 400, data: { error: 'question is required' } };
+    }
+    return { status: 200, data: this.answer(question) };
+  }
+
+  // Response in the upstream's own shape (snake_case dates), so the client's normalization is exercised too
+  answer(question) {
+    const named = regionMatcher.match(question);
+    const regions = named.length ? named : Object.keys(POLICIES);
+    const policies = regions.flatMap(region => (POLICIES[region] || []).map(policy => ({
+      title: policy.title,
+      description: policy.summary,
+      region,
+      status: policy.status,
+      effective_date: this.daysFromNow(policy.effectiveInDays),
+      deadline: this.daysFromNow(policy.deadlineInDays),
+      affected_roles: policy.roles
+    })));
+    return {
+      answer: `Mock geo/policy answer covering ${regions.join(', ')}: ${policies.length} synthetic polic${policies.length === 1 ? 'y' : 'ies'} for development.`,
+      regions,
+      policies,
+      sources: [{ title: 'Geo mock', url: null }]
+    };
+  }
+
+  daysFromNow(days) {
+    if (days === undefined) return null;
+    return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+  }
+
+  delay(ms, signal) {
+    if (ms <= 0) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Aborted'));
+      }, { once: true });
+    });
+  }
+}
+
+export default new GeoMock();
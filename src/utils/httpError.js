@@ -0,0 +1,14 @@
+/**
+ * Error carrying the HTTP status a route should answer with.
+ * Routes respond with `error.status || 500` (plus `details` when set).
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+export default HttpError;
@@ -1,4 +1,6 @@
 import axios from 'axios';
+import articleDeduper from './articleDeduper.js';
+import skillTaxonomy from './skillTaxonomy.js';
 
 const NEWS_API_KEY = process.env.NEWS_API_KEY;
 const BASE_URL = 'https://newsapi.org/v2';
@@ -90,13 +92,16 @@ class NewsApiClient {
         article.description &&
         article.source?.name
       )
-      .map((article, index) => ({
-        id: `${Date.now()}_${index}`,
+      .map(article => ({
+        id: articleDeduper.articleId({ url: article.url, source: article.source.name, title: article.title }),
         title: this.cleanText(article.title),
         body: this.cleanText(article.description || article.content || ''),
         source: article.source.name,
         publishedAt: article.publishedAt,
         url: article.url,
+        author: article.author || null,
+        imageUrl: article.urlToImage || null,
+        content: this.cleanText(article.content || ''),
         tags: this.extractTags(query, article, options)
       }));
 
@@ -111,29 +116,18 @@ class NewsApiClient {
     const includeCommon = options.includeCommonTagKeywords !== undefined ? options.includeCommonTagKeywords : true;
     const tags = new Set();
 
-    // Add query terms as tags
+    // Add query terms as tags (canonical taxonomy name when known)
     if (query && query !== 'top-headlines') {
       query.split(',').forEach(term => {
-        const cleaned = term.trim().toLowerCase();
-        if (cleaned) tags.add(cleaned);
+        const cleaned = term.trim();
+        if (cleaned) tags.add(skillTaxonomy.canonicalize(cleaned));
       });
     }
 
-    // Extract additional tags from title and content (optional common keywords)
+    // Extract additional tags from title and content (optional taxonomy keywords)
     if (includeCommon) {
-      const text = `${article.title} ${article.description || ''}`.toLowerCase();
-      const keywords = [
-        'ai', 'artificial intelligence', 'machine learning', 'ml', 'data science',
-        'software engineer', 'developer', 'programming', 'coding', 'python',
-        'javascript', 'react', 'nodejs', 'cloud', 'aws', 'azure', 'gcp',
-        'career', 'job', 'hiring', 'salary', 'remote work', 'startup',
-        'technology', 'tech', 'innovation', 'digital transformation'
-      ];
-      keywords.forEach(keyword => {
-        if (text.includes(keyword)) {
-          tags.add(keyword.replace(/\s+/g, '-'));
-        }
-      });
+      const text = `${article.title} ${article.description || ''}`;
+      skillTaxonomy.matchText(text).forEach(tag => tags.add(tag));
     }
 
     return Array.from(tags);
@@ -0,0 +1,132 @@
+import textMatcher from './textMatcher.js';
+import regionMatcher from './regionMatcher.js';
+import skillTaxonomy from './skillTaxonomy.js';
+
+const STATUSES = ['proposed', 'upcoming', 'active', 'expired', 'withdrawn'];
+// Status wording used by feeds and documents ("Proposed Rule", "in force", ...)
+const STATUS_ALIASES = {
+  proposed: ['proposed', 'proposed rule', 'draft', 'consultation', 'bill'],
+  upcoming: ['upcoming', 'scheduled', 'pending', 'enacted'],
+  active: ['active', 'rule', 'final rule', 'in force', 'in effect', 'effective', 'law', 'presidential document'],
+  expired: ['expired', 'lapsed', 'sunset', 'ended'],
+  withdrawn: ['withdrawn', 'repealed', 'rescinded', 'revoked', 'struck down']
+};
+const PROPOSED_SIGNALS = ['proposed rule', 'proposes', 'proposal', 'draft', 'consultation', 'call for evidence', 'seeks comments', 'request for comments', 'public comment'];
+const WITHDRAWN_SIGNALS = ['withdrawn', 'repealed', 'rescinded', 'revoked'];
+
+// Roles affected by a policy, keyed by the phrases that signal them
+const ROLE_SIGNALS = [
+  { roles: ['AI Engineer', 'Data Scientist'], phrases: ['ai', 'artificial intelligence', 'ml', 'machine learning', 'genai', 'llm', 'deep learning', 'algorithm', 'algorithms', 'automated decision'] },
+  { roles: ['Data Engineer', 'Privacy Officer'], phrases: ['data protection', 'privacy', 'personal data', 'gdpr', 'dpdp', 'data localisation', 'data localization'] },
+  { roles: ['Security Engineer'], phrases: ['cybersecurity', 'cyber security', 'security incident', 'breach', 'breaches'] },
+  { roles: ['Compliance Officer', 'Policy Analyst'], phrases: ['policy', 'policies', 'regulation', 'regulations', 'compliance', 'rule', 'act'] },
+  { roles: ['International Student', 'Software Engineer'], phrases: ['visa', 'visas', 'immigration', 'h1b', 'h-1b', 'opt', 'stem opt', 'work permit', 'skilled worker'] }
+];
+const ROLE_MATCHER = textMatcher.compile(ROLE_SIGNALS.map((signal, i) => ({ key: String(i), phrases: signal.phrases })));
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(\\d{4}-\\d{2}-\\d{2}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4})`;
+const EFFECTIVE_DATE = new RegExp(`(?:effective|takes? effect|took effect|come[s]? into (?:force|effect)|in force|applies|apply|starting|commenc\\w*)\\s+(?:on\\s+|from\\s+|as of\\s+|date:?\\s+)?${DATE}`, 'i');
+const DEADLINE_DATE = new RegExp(`(?:deadline|due|comments?\\s+(?:are\\s+)?(?:due|must be received)|closes?|closing date|submit\\w*|apply|register|respond)\\s+(?:is\\s+|on\\s+|by\\s+|before\\s+|until\\s+|date:?\\s+)*${DATE}`, 'i');
+
+/**
+ * Turns policy documents and press releases into policy records. Explicit
+ * fields win, then per-source defaults; anything still missing is inferred
+ * from the title and text (region mentions, "effective ..." / "comments due
+ * ..." dates, status wording and role signals).
+ */
+class PolicyExtractor {
+  get statuses() {
+    return STATUSES;
+  }
+
+  /**
+   * @param {Object} doc - { title, summary|description|body, text?, url, source, region, status,
+   *   effectiveDate, deadline, affectedRoles, tags, publishedAt }
+   * @param {Object} [defaults] - per-source defaults ({ region, source })
+   * @returns {Object|null} policy fields, or null without a title
+   */
+  extract(doc = {}, defaults = {}) {
+    const title = this.clean(doc.title);
+    if (!title) return null;
+    const summary = this.clean(doc.summary || doc.description || doc.body || '');
+    const text = `${title}. ${summary} ${this.clean(doc.text || doc.content || '')}`;
+
+    const effectiveDate = this.date(doc.effectiveDate) || this.findDate(text, EFFECTIVE_DATE);
+    const deadline = this.date(doc.deadline) || this.findDate(text, DEADLINE_DATE);
+    const tags = Array.isArray(doc.tags) && doc.tags.length
+      ? doc.tags.map(tag => skillTaxonomy.canonicalize(String(tag)))
+      : skillTaxonomy.matchText(text);
+
+    return {
+      title,
+      summary: summary.slice(0, 2000),
+      url: doc.url || null,
+      source: doc.source || defaults.source || null,
+      region: this.region(doc.region) || this.region(defaults.region) || regionMatcher.match(text)[0] || 'Global',
+      status: this.status(doc.status, text, effectiveDate),
+      effectiveDate,
+      deadline,
+      affectedRoles: Array.isArray(doc.affectedRoles) && doc.affectedRoles.length
+        ? doc.affectedRoles.map(role => String(role).trim()).filter(Boolean)
+        : this.roles(text),
+      tags,
+      publishedAt: this.date(doc.publishedAt, true)
+    };
+  }
+
+  // Explicit status (or its alias) if given, else inferred from wording and the effective date
+  status(explicit, text = '', effectiveDate = null) {
+    const named = this.normalizeStatus(explicit);
+    if (named) return named;
+    if (textMatcher.containsAny(text, WITHDRAWN_SIGNALS)) return 'withdrawn';
+    if (textMatcher.containsAny(text, PROPOSED_SIGNALS)) return 'proposed';
+    if (effectiveDate && effectiveDate > new Date().toISOString().slice(0, 10)) return 'upcoming';
+    return 'active';
+  }
+
+  normalizeStatus(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return null;
+    return STATUSES.find(status => status === key || STATUS_ALIASES[status].includes(key)) || null;
+  }
+
+  // Status as of today: an upcoming policy whose effective date has passed is active
+  currentStatus(policy, today = new Date().toISOString().slice(0, 10)) {
+    if (policy.status === 'upcoming' && policy.effectiveDate && policy.effectiveDate <= today) return 'active';
+    return policy.status;
+  }
+
+  // Canonical region name for a known region, otherwise the value as given
+  region(value) {
+    const name = this.clean(value);
+    return name ? regionMatcher.resolve(name) || name : null;
+  }
+
+  roles(text) {
+    const found = ROLE_MATCHER.match(text);
+    return Array.from(new Set(ROLE_SIGNALS.filter((_, i) => found.includes(String(i))).flatMap(signal => signal.roles)));
+  }
+
+  findDate(text, pattern) {
+    const match = pattern.exec(text);
+    return match ? this.date(match[1]) : null;
+  }
+
+  // YYYY-MM-DD (or a full ISO timestamp with `withTime`); null when unparseable
+  date(value, withTime = false) {
+    if (!value) return null;
+    if (value instanceof Date) return this.date(value.toISOString(), withTime);
+    const text = String(value).trim().replace(/(\d)(st|nd|rd|th)\b/i, '$1').replace(/\bsept\b/i, 'sep');
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : new Date(`${text} UTC`);
+    const parsed = Number.isNaN(date.getTime()) ? new Date(text) : date;
+    if (Number.isNaN(parsed.getTime())) return null;
+    return withTime ? parsed.toISOString() : parsed.toISOString().slice(0, 10);
+  }
+
+  clean(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default new PolicyExtractor();
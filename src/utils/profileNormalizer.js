@@ -0,0 +1,100 @@
+// Defaults for endpoints that need a complete profile (insights, explore)
+const PROFILE_DEFAULTS = { role: 'professional', experience: 'mid-level' };
+
+// Accepted input names for each profile field, canonical name first
+const FIELD_ALIASES = {
+  name: ['name'],
+  role: ['role', 'currentRole'],
+  targetRole: ['targetRole'],
+  experience: ['experience', 'currentExperience'],
+  skills: ['skills'],
+  interests: ['interests'],
+  location: ['location'],
+  profileFreeText: ['profileFreeText', 'narrative']
+};
+const LIST_FIELDS = new Set(['skills', 'interests']);
+
+/**
+ * Single place that turns request input (query string, body, nested `profile`
+ * object or a saved profile) into one profile shape:
+ * { name, role, targetRole, experience, skills[], interests[], location, profileFreeText }
+ */
+class ProfileNormalizer {
+  get fields() {
+    return Object.keys(FIELD_ALIASES);
+  }
+
+  /**
+   * @param {Object} input - raw fields; a nested `profile` object wins over top-level fields
+   * @returns {Object} every field present; strings trimmed, lists de-duplicated, missing values empty
+   */
+  normalize(input = {}) {
+    const sources = [input.profile && typeof input.profile === 'object' ? input.profile : {}, input];
+    const profile = {};
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+      const raw = this.pick(sources, aliases);
+      profile[field] = LIST_FIELDS.has(field) ? this.toList(raw) : this.toText(raw);
+    }
+    return profile;
+  }
+
+  // Non-empty fields only; used to layer inline request fields over a saved profile
+  provided(input = {}) {
+    const normalized = this.normalize(input);
+    return Object.fromEntries(Object.entries(normalized).filter(([, value]) => !this.isEmpty(value)));
+  }
+
+  // Fields the input mentions under any alias, even when empty (an explicit clear)
+  present(input = {}) {
+    const sources = [input.profile && typeof input.profile === 'object' ? input.profile : {}, input];
+    const normalized = this.normalize(input);
+    return Object.fromEntries(Object.entries(FIELD_ALIASES)
+      .filter(([, aliases]) => sources.some(source => aliases.some(alias => source[alias] !== undefined)))
+      .map(([field]) => [field, normalized[field]]));
+  }
+
+  withDefaults(profile) {
+    const result = { ...profile };
+    for (const [field, value] of Object.entries(PROFILE_DEFAULTS)) {
+      if (this.isEmpty(result[field])) result[field] = value;
+    }
+    return result;
+  }
+
+  pick(sources, aliases) {
+    for (const source of sources) {
+      for (const alias of aliases) {
+        if (!this.isEmpty(source[alias])) return source[alias];
+      }
+    }
+    return undefined;
+  }
+
+  // Comma-separated string or array -> trimmed list without case-insensitive duplicates
+  toList(value) {
+    if (value === undefined || value === null) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const seen = new Set();
+    return items
+      .map(item => String(item).trim())
+      .filter(item => {
+        const key = item.toLowerCase();
+        if (!item || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim();
+  }
+
+  isEmpty(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+}
+
+export { PROFILE_DEFAULTS };
+export default new ProfileNormalizer();
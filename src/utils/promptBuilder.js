@@ -0,0 +1,266 @@
+import geminiClient from '../vertexclient/geminiClient.js';
+
+// Upper bound for any prompt, below the model's context window, to keep latency and cost in check
+const PROMPT_MAX_TOKENS = Number(process.env.PROMPT_MAX_TOKENS || 16000);
+// Overrides the context window looked up for the configured model
+const PROMPT_CONTEXT_TOKENS = Number(process.env.PROMPT_CONTEXT_TOKENS || 0);
+const DEFAULT_OUTPUT_TOKENS = 2048;
+const TRUNCATION_MARK = '[…]';
+
+// Context window and token rules by model family, first match wins. `wordChars` is
+// the longest word counted as one token; longer words count one token per chunk.
+const MODEL_PROFILES = [
+  { pattern: /^gemini-1\.5-pro/i, contextTokens: 2097152, wordChars: 6 },
+  { pattern: /^gemini/i, contextTokens: 1048576, wordChars: 6 },
+  // Replay fixtures are recorded from Vertex by default
+  { pattern: /^replay/i, contextTokens: 1048576, wordChars: 6 },
+  { pattern: /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/i, contextTokens: 128000, wordChars: 6 },
+  { pattern: /^gpt-3\.5/i, contextTokens: 16385, wordChars: 6 },
+  { pattern: /^llama-?3/i, contextTokens: 128000, wordChars: 5 },
+  { pattern: /^(mistral|mixtral|qwen)/i, contextTokens: 32768, wordChars: 5 }
+];
+const DEFAULT_PROFILE = { contextTokens: 8192, wordChars: 5 };
+
+const CJK = /[぀-ヿ㐀-鿿가-힯]/;
+
+/**
+ * Shared prompt construction with token budgets. A prompt is written as a
+ * tagged template (`promptBuilder.parts`) whose fixed text is always kept and
+ * whose `section()` values are fitted into the budget:
+ * - the budget is the configured model's context window minus the tokens
+ *   reserved for the answer, capped at PROMPT_MAX_TOKENS
+ * - fixed text is counted first; sections then get tokens by priority (highest
+ *   first, equal priorities share), each up to its own `maxTokens`
+ * - a section that does not fit is cut at line or sentence boundaries, or
+ *   summarized by the model (`strategy: 'summarize'`), or omitted when less
+ *   than its `minTokens` is left
+ *
+ * Token counts are estimates for the configured model (words, number groups,
+ * punctuation and CJK characters), not the provider's tokenizer.
+ */
+class PromptBuilder {
+  get model() {
+    return geminiClient.modelName || 'unknown';
+  }
+
+  profile() {
+    const profile = MODEL_PROFILES.find(p => p.pattern.test(this.model)) || DEFAULT_PROFILE;
+    return PROMPT_CONTEXT_TOKENS > 0 ? { ...profile, contextTokens: PROMPT_CONTEXT_TOKENS } : profile;
+  }
+
+  countTokens(text = '') {
+    const { wordChars } = this.profile();
+    let tokens = 0;
+    for (const piece of String(text ?? '').match(/\p{L}+|\p{N}+|[^\s\p{L}\p{N}]/gu) || []) {
+      if (CJK.test(piece)) tokens += piece.length;
+      else if (/^\p{N}/u.test(piece)) tokens += Math.ceil(piece.length / 3);
+      else if (/^\p{L}/u.test(piece)) tokens += Math.ceil(piece.length / wordChars);
+      else tokens += 1;
+    }
+    return tokens;
+  }
+
+  /**
+   * A budgeted prompt section.
+   * @param {string} name - reported in usage.sections
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.priority] - higher is funded first (default 0)
+   * @param {number} [options.maxTokens] - cap for this section even when the budget has room
+   * @param {number} [options.minTokens] - below this the section is omitted rather than cut
+   * @param {string} [options.strategy] - 'end' (keep the start), 'start' (keep the end), 'lines' / 'blocks'
+   *   (keep whole lines / blank-line separated blocks from the top) or 'summarize'
+   * @param {string} [options.placeholder] - text used when the section is omitted
+   */
+  section(name, text, options = {}) {
+    return { section: true, name, text: String(text ?? ''), priority: 0, maxTokens: Infinity, minTokens: 0, strategy: 'end', ...options };
+  }
+
+  // Tagged template: prompt text with section() values (or nested parts() for optional blocks), for build()
+  parts(strings, ...values) {
+    const parts = [];
+    strings.forEach((text, i) => {
+      parts.push(text);
+      if (i >= values.length) return;
+      const value = values[i];
+      if (Array.isArray(value)) parts.push(...value);
+      else parts.push(value?.section ? value : String(value ?? ''));
+    });
+    return parts;
+  }
+
+  /**
+   * Fit the sections into the budget and join everything into one prompt.
+   * @param {Array<string|Object>} parts - from parts(); plain strings are fixed text
+   * @param {Object} [options] - { outputTokens } reserved for the answer (the request's maxTokens)
+   * @returns {Promise<{ prompt: string, usage: { model, promptTokens, budgetTokens, contextTokens, sections, summarization? } }>}
+   *   `sections[name]` is { tokens, originalTokens, budget, action: kept | truncated | summarized | omitted };
+   *   `summarization` is { calls, promptTokens, outputTokens, failed } of the model calls that summarized
+   *   sections, when any were made; failed calls are counted in `failed` only
+   */
+  async build(parts, { outputTokens = DEFAULT_OUTPUT_TOKENS } = {}) {
+    const { contextTokens } = this.profile();
+    const budgetTokens = this.budget(outputTokens);
+    const sections = parts.filter(part => part?.section).map(part => ({ ...part, tokens: this.countTokens(part.text) }));
+    const fixedTokens = this.countTokens(parts.filter(part => !part?.section).join(''));
+
+    let remaining = Math.max(budgetTokens - fixedTokens, 0);
+    let summarization = null;
+    for (const priority of Array.from(new Set(sections.map(s => s.priority))).sort((a, b) => b - a)) {
+      remaining -= this.allocate(sections.filter(s => s.priority === priority), remaining);
+    }
+
+    for (const section of sections) {
+      if (section.tokens <= section.budget) {
+        section.output = section.text;
+        section.action = 'kept';
+      } else if (section.budget === 0) {
+        section.output = section.placeholder ?? '[Omitted to fit the prompt budget]';
+        section.action = 'omitted';
+      } else if (section.strategy === 'summarize') {
+        const { text: summary, promptTokens, outputTokens, failed } = await this.summarize(section.text, section.budget);
+        summarization = summarization || { calls: 0, promptTokens: 0, outputTokens: 0, failed: 0 };
+        if (failed) {
+          summarization.failed++;
+        } else {
+          summarization.calls++;
+          summarization.promptTokens += promptTokens;
+          summarization.outputTokens += outputTokens;
+        }
+        section.output = summary && this.countTokens(summary) <= section.budget ? summary : this.truncate(section.text, section.budget, 'end');
+        section.action = section.output === summary ? 'summarized' : 'truncated';
+      } else {
+        section.output = this.truncate(section.text, section.budget, section.strategy);
+        section.action = 'truncated';
+      }
+    }
+
+    let next = 0;
+    const prompt = parts.map(part => (part?.section ? sections[next++].output : part)).join('');
+    return {
+      prompt,
+      usage: {
+        model: this.model,
+        promptTokens: this.countTokens(prompt),
+        budgetTokens,
+        contextTokens,
+        sections: Object.fromEntries(sections.map(s => [s.name, {
+          tokens: this.countTokens(s.output),
+          originalTokens: s.tokens,
+          budget: s.budget,
+          action: s.action
+        }])),
+        ...(summarization ? { summarization } : {})
+      }
+    };
+  }
+
+  // Equal shares of `available` for sections of one priority; what a small section leaves goes to the others
+  allocate(sections, available) {
+    let open = sections.map(section => ({ section, wanted: Math.min(section.tokens, section.maxTokens) }));
+    let left = available;
+    while (open.length > 0) {
+      const share = Math.floor(left / open.length);
+      const satisfied = open.filter(entry => entry.wanted <= share);
+      if (satisfied.length === 0) {
+        open.forEach(({ section }) => { section.budget = share; });
+        left -= share * open.length;
+        break;
+      }
+      satisfied.forEach(({ section, wanted }) => { section.budget = wanted; left -= wanted; });
+      open = open.filter(entry => !satisfied.includes(entry));
+    }
+    // Too little room to be useful: omit the section and hand its share back
+    for (const section of sections) {
+      if (section.budget > 0 && section.budget < Math.min(section.minTokens, section.tokens)) {
+        left += section.budget;
+        section.budget = 0;
+      }
+    }
+    return available - left;
+  }
+
+  // Prompt tokens available when `outputTokens` are reserved for the answer
+  budget(outputTokens = DEFAULT_OUTPUT_TOKENS) {
+    return Math.max(Math.min(PROMPT_MAX_TOKENS, this.profile().contextTokens - outputTokens), 0);
+  }
+
+  // Usage with the answer's tokens added
+  withOutput(usage, text = '') {
+    return { ...usage, outputTokens: this.countTokens(text) };
+  }
+
+  /**
+   * Cut text to `maxTokens`, marking the cut with […].
+   * @param {string} strategy - 'end' keeps the start, 'start' keeps the end, 'lines' / 'blocks' keep whole entries from the top
+   */
+  truncate(text, maxTokens, strategy = 'end') {
+    if (this.countTokens(text) <= maxTokens) return text;
+    if (strategy === 'lines' || strategy === 'blocks') {
+      const separator = strategy === 'lines' ? '\n' : '\n\n';
+      const entries = text.split(separator);
+      const kept = [];
+      let used = this.countTokens(TRUNCATION_MARK);
+      for (const entry of entries) {
+        const cost = this.countTokens(entry);
+        if (used + cost > maxTokens) break;
+        kept.push(entry);
+        used += cost;
+      }
+      // A first entry that is too long on its own is cut like plain text
+      if (kept.length === 0) return this.truncate(entries[0], maxTokens, 'end');
+      return `${kept.join(separator)}${separator}${TRUNCATION_MARK}`;
+    }
+
+    const keepEnd = strategy === 'start';
+    const room = Math.max(maxTokens - this.countTokens(TRUNCATION_MARK), 0);
+    // Longest prefix (or suffix) within the budget, then back to a sentence or line boundary when one is close
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      const candidate = keepEnd ? text.slice(text.length - mid) : text.slice(0, mid);
+      if (this.countTokens(candidate) <= room) low = mid;
+      else high = mid - 1;
+    }
+    let cut = keepEnd ? text.slice(text.length - low) : text.slice(0, low);
+    if (keepEnd) {
+      const boundary = cut.search(/[.!?\n]\s/);
+      if (boundary !== -1 && boundary < cut.length * 0.2) cut = cut.slice(boundary + 2);
+      return `${TRUNCATION_MARK} ${cut.trim()}`;
+    }
+    const boundary = Math.max(cut.lastIndexOf('\n'), ...['. ', '! ', '? '].map(mark => cut.lastIndexOf(mark) + 1));
+    if (boundary > cut.length * 0.8) cut = cut.slice(0, boundary);
+    return `${cut.trim()} ${TRUNCATION_MARK}`;
+  }
+
+  /**
+   * Model-written condensed version of a section, with the call's token counts.
+   * The text sent is fitted into the same budget as build() prompts, with the
+   * summary's own maxTokens reserved.
+   * @returns {Promise<{ text: string|null, promptTokens, outputTokens, failed: boolean }>} text null and
+   *   no tokens when the call failed
+   */
+  async summarize(text, maxTokens) {
+    const words = Math.max(Math.floor(maxTokens * 0.7), 20);
+    const generationOptions = { temperature: 0.2, maxTokens: maxTokens * 2 };
+    const instructions = `Condense the following text to at most ${words} words for use inside another prompt.
+Keep concrete facts, numbers, dates, names, recommendations and citation markers such as [A1] or [T2] exactly as written.
+Plain text, no preamble.
+
+TEXT:
+`;
+    const room = this.budget(generationOptions.maxTokens) - this.countTokens(instructions);
+    if (room <= 0) return { text: null, promptTokens: 0, outputTokens: 0, failed: true };
+    const prompt = `${instructions}${this.truncate(text, room, 'end')}`;
+    try {
+      const { text: summary } = await geminiClient.generateContent(prompt, generationOptions);
+      return { text: summary?.trim() || null, promptTokens: this.countTokens(prompt), outputTokens: this.countTokens(summary || ''), failed: false };
+    } catch (error) {
+      console.warn('Prompt section summarization failed:', error.message);
+      return { text: null, promptTokens: 0, outputTokens: 0, failed: true };
+    }
+  }
+}
+
+export default new PromptBuilder();
@@ -0,0 +1,56 @@
+import textMatcher from './textMatcher.js';
+
+// Regions in precedence order (an article mentioning several is attributed to the first).
+// `casePhrases` only match with that capitalization: "US" and "U.S." but not the pronoun "us".
+const REGIONS = [
+  { name: 'United States', codes: ['us', 'usa'], phrases: ['united states', 'america', 'american', 'h1b', 'h-1b'], casePhrases: ['US', 'USA'] },
+  { name: 'India', codes: ['in', 'ind'], phrases: ['india', 'indian'] },
+  { name: 'European Union', codes: ['eu'], phrases: ['eu', 'europe', 'european', 'european union', 'gdpr'] },
+  { name: 'United Kingdom', codes: ['uk', 'gb'], phrases: ['uk', 'britain', 'british', 'united kingdom'] }
+];
+
+/**
+ * Whole-word region signals shared by the overview and article search, so
+ * "business" never reads as "us".
+ */
+class RegionMatcher {
+  constructor() {
+    this.matcher = textMatcher.compile(REGIONS.flatMap(({ name, phrases, casePhrases = [] }) => [
+      { key: name, phrases },
+      { key: name, phrases: casePhrases, matchCase: true }
+    ]));
+  }
+
+  names() {
+    return REGIONS.map(r => r.name);
+  }
+
+  // Region for a name, code or signal phrase ("IN", "india", "Indian" -> India); null when unknown
+  resolve(term) {
+    const key = String(term || '').trim().toLowerCase();
+    if (!key) return null;
+    const region = REGIONS.find(r => r.name.toLowerCase() === key || r.codes.includes(key))
+      || REGIONS.find(r => r.phrases.includes(key));
+    return region ? region.name : null;
+  }
+
+  // Case-insensitive signal phrases, e.g. for a search pattern over lowercased text
+  phrases(name) {
+    return REGIONS.find(r => r.name === name)?.phrases || [];
+  }
+
+  // Regions mentioned in the text, in precedence order
+  match(text) {
+    const found = this.matcher.match(text);
+    return this.names().filter(name => found.includes(name));
+  }
+
+  // First region signalled by any of the tags
+  fromTags(tags = []) {
+    if (!Array.isArray(tags)) return null;
+    const found = new Set(tags.flatMap(tag => this.matcher.match(String(tag))));
+    return this.names().find(name => found.has(name)) || null;
+  }
+}
+
+export default new RegionMatcher();
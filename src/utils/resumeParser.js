@@ -0,0 +1,231 @@
+import mammoth from 'mammoth';
+// pdf-parse's index.js runs a debug self-test (reading ./test/data/05-versions-space.pdf) whenever
+// `module.parent` is unset, which is always the case when an ES module imports it, so the library
+// file is imported directly. The version is pinned exactly in package.json for that reason.
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import skillTaxonomy from './skillTaxonomy.js';
+import HttpError from './httpError.js';
+
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'about', 'about me', 'objective', 'career objective'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history'],
+  education: ['education', 'academic background', 'qualifications', 'education and training', 'academics'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'technologies', 'tech stack', 'skills and tools', 'tools'],
+  projects: ['projects', 'personal projects', 'key projects'],
+  certifications: ['certifications', 'certificates', 'licenses and certifications', 'courses']
+};
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+const DATE = String.raw`(?:(?:(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+)|(\d{1,2})[/.-])?((?:19|20)\d{2})`;
+const DATE_RANGE = new RegExp(`${DATE}\\s*(?:-|–|—|to|until)\\s*(?:${DATE}|(present|current|now|today|date))`, 'gi');
+const EXPLICIT_YEARS = /(\d{1,2}(?:\.\d)?)\s*\+?\s*(?:years?|yrs?)(?:\s+of)?\s+(?:\w+\s+){0,3}?experience/gi;
+const TITLE_WORDS = /\b(engineer|developer|manager|analyst|scientist|designer|consultant|architect|lead|intern|specialist|administrator|director|officer|teacher|lecturer|professor|researcher|associate|coordinator|head|founder|programmer|technician|strategist|owner|executive|assistant)\b/i;
+// Spelled-out degrees in any case; abbreviations only as written (so "be" or "ma" in prose do not match)
+const DEGREE_WORDS = /\b(?:bachelor|master|doctorate|diploma|associate(?:'s)? degree|high school)/i;
+const DEGREE_ABBREVIATIONS = /\b(?:B\.?\s?Tech|M\.?\s?Tech|B\.?E|B\.?\s?Sc|M\.?\s?Sc|B\.?S|M\.?S|B\.?A|M\.?A|BCA|MCA|MBA|BBA|Ph\.?\s?D)\b/;
+const INSTITUTION = /\b(university|college|institute|school|academy|polytechnic|iit|nit)\b/i;
+
+/**
+ * Local resume parsing: text extraction from PDF (pdf-parse), DOCX (mammoth)
+ * or plain text, then heuristics over section headings, date ranges and the
+ * skill taxonomy. Nothing leaves the process.
+ */
+class ResumeParser {
+  /**
+   * @param {Buffer} buffer - uploaded file contents
+   * @param {{ mimetype?: string, filename?: string }} [meta]
+   * @returns {Promise<{ type: 'pdf'|'docx'|'text', text: string }>}
+   */
+  async extractText(buffer, { mimetype = '', filename = '' } = {}) {
+    const type = this.detectType(buffer, mimetype, filename);
+    let text;
+    try {
+      if (type === 'pdf') text = (await pdfParse(buffer)).text;
+      else if (type === 'docx') text = (await mammoth.extractRawText({ buffer })).value;
+      else text = buffer.toString('utf8');
+    } catch (error) {
+      throw new HttpError(422, `Could not read ${type.toUpperCase()} resume: ${error.message}`);
+    }
+    return { type, text: String(text || '').replace(/\r\n?/g, '\n') };
+  }
+
+  detectType(buffer, mimetype, filename) {
+    const ext = (filename.split('.').pop() || '').toLowerCase();
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-' || mimetype === 'application/pdf' || ext === 'pdf') return 'pdf';
+    // DOCX is a ZIP container; legacy binary .doc is not supported
+    if (buffer.subarray(0, 2).toString('latin1') === 'PK' || ext === 'docx' || mimetype.includes('wordprocessingml')) return 'docx';
+    if (mimetype.startsWith('text/') || ['txt', 'text', 'md'].includes(ext) || (!mimetype && !ext) || mimetype === 'application/octet-stream') {
+      return 'text';
+    }
+    throw new HttpError(415, `Unsupported resume format '${mimetype || ext}'. Upload a PDF, DOCX or plain-text file`);
+  }
+
+  /**
+   * Extract profile facts from resume text.
+   * @param {string} text
+   * @returns {{ name, titles: string[], yearsOfExperience: number|null, education: Object[], location, skills: string[], unmatchedSkills: string[], summary }}
+   */
+  parse(text) {
+    const lines = String(text || '').split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const sections = this.splitSections(lines);
+    const { skills, unmatchedSkills } = this.extractSkills(lines.join('\n'), sections.skills || []);
+
+    return {
+      name: this.extractName(lines),
+      titles: this.extractTitles(lines, sections),
+      yearsOfExperience: this.extractYears(lines, sections),
+      education: this.extractEducation(sections.education || lines),
+      location: this.extractLocation(lines),
+      skills,
+      unmatchedSkills,
+      summary: (sections.summary || []).join(' ').slice(0, 1500)
+    };
+  }
+
+  // Lines grouped by the heading they follow; lines before any heading go to 'header'
+  splitSections(lines) {
+    const headingIndex = new Map();
+    for (const [key, names] of Object.entries(SECTION_HEADINGS)) names.forEach(n => headingIndex.set(n, key));
+
+    const sections = { header: [] };
+    let current = 'header';
+    for (const line of lines) {
+      const heading = line.toLowerCase().replace(/&/g, 'and').replace(/[:|]+$/, '').trim();
+      if (line.split(' ').length <= 4 && headingIndex.has(heading)) {
+        current = headingIndex.get(heading);
+        sections[current] = sections[current] || [];
+      } else {
+        sections[current].push(line);
+      }
+    }
+    return sections;
+  }
+
+  // Canonical taxonomy tags found anywhere, plus listed skills the taxonomy does not know
+  extractSkills(text, skillLines) {
+    const skills = skillTaxonomy.matchText(text).filter(tag => skillTaxonomy.isSkill(tag));
+
+    const unmatchedSkills = [];
+    for (const item of skillLines.flatMap(line => line.replace(/^[^:]{1,30}:/, '').split(/[,;|•·●▪]|\s\/\s/))) {
+      const term = item.replace(/^[-*–\s]+/, '').replace(/\(.*?\)/g, '').trim();
+      if (!term || term.length > 40 || term.split(' ').length > 4) continue;
+      const skill = skillTaxonomy.lookup(term);
+      if (skill) {
+        if (skillTaxonomy.isSkill(skill.name) && !skills.includes(skill.name)) skills.push(skill.name);
+      } else {
+        const slug = skillTaxonomy.slugify(term);
+        if (!unmatchedSkills.includes(slug)) unmatchedSkills.push(slug);
+      }
+    }
+    return { skills, unmatchedSkills };
+  }
+
+  extractName(lines) {
+    const first = lines[0] || '';
+    const words = first.split(' ');
+    if (words.length < 2 || words.length > 4 || /[\d@]/.test(first)) return '';
+    return words.every(w => /^\p{Lu}[\p{L}.'-]*$/u.test(w)) ? first : '';
+  }
+
+  // Job titles, most recent first: a headline under the name, then experience entries
+  extractTitles(lines, sections) {
+    const candidates = [...sections.header.slice(1, 4), ...(sections.experience || [])];
+    const titles = [];
+    for (const line of candidates) {
+      if (line.length > 100 || !TITLE_WORDS.test(line) || /@|https?:/.test(line)) continue;
+      const segment = line
+        .replace(DATE_RANGE, '')
+        .split(/\s+(?:at|@)\s+|\s[|–—-]\s|,\s/)
+        .find(part => TITLE_WORDS.test(part));
+      const title = (segment || '').replace(/^[-*•\s]+|[\s,;:]+$/g, '');
+      if (title && title.split(' ').length <= 6 && !titles.some(t => t.toLowerCase() === title.toLowerCase())) {
+        titles.push(title);
+      }
+    }
+    return titles.slice(0, 5);
+  }
+
+  /**
+   * Years of experience: an explicit "N+ years of experience" statement when
+   * present, otherwise the union of date ranges in the experience section.
+   */
+  extractYears(lines, sections) {
+    const explicit = [...lines.join(' ').matchAll(EXPLICIT_YEARS)].map(m => Number(m[1])).filter(n => n > 0 && n < 60);
+    if (explicit.length) return Math.max(...explicit);
+
+    const source = sections.experience || lines.filter(l => !(sections.education || []).includes(l));
+    const now = new Date();
+    const ranges = [];
+    for (const match of source.join('\n').matchAll(DATE_RANGE)) {
+      const start = this.toMonth(match[1], match[2], match[3]);
+      const end = match[7] ? now.getUTCFullYear() * 12 + now.getUTCMonth() : this.toMonth(match[4], match[5], match[6], true);
+      if (start !== null && end !== null && end >= start) ranges.push([start, end]);
+    }
+    if (ranges.length === 0) return null;
+
+    // Merge overlapping ranges so concurrent roles are not double counted
+    ranges.sort((a, b) => a[0] - b[0]);
+    let months = 0;
+    let [curStart, curEnd] = ranges[0];
+    for (const [start, end] of ranges.slice(1)) {
+      if (start <= curEnd) {
+        curEnd = Math.max(curEnd, end);
+      } else {
+        months += curEnd - curStart + 1;
+        [curStart, curEnd] = [start, end];
+      }
+    }
+    months += curEnd - curStart + 1;
+    return Math.round((months / 12) * 10) / 10;
+  }
+
+  // Month index (year * 12 + month); a bare year means January, or December for range ends
+  toMonth(monthName, monthNumber, year, isEnd = false) {
+    if (!year) return null;
+    let month = isEnd ? 11 : 0;
+    if (monthName) month = MONTHS[monthName.slice(0, 3).toLowerCase()];
+    else if (monthNumber && Number(monthNumber) >= 1 && Number(monthNumber) <= 12) month = Number(monthNumber) - 1;
+    return Number(year) * 12 + month;
+  }
+
+  extractEducation(lines) {
+    const education = [];
+    lines.forEach((line, i) => {
+      if (!this.isDegree(line) || line.length > 160) return;
+      const nearby = [line, lines[i + 1] || '', lines[i - 1] || ''];
+      const institutionLine = nearby.find(l => INSTITUTION.test(l) && !(l !== line && this.isDegree(l)));
+      const years = nearby.slice(0, 2).join(' ').match(/(?:19|20)\d{2}/g);
+      education.push({
+        degree: this.withoutDates(line),
+        institution: institutionLine && institutionLine !== line ? this.withoutDates(institutionLine) : null,
+        year: years ? Number(years[years.length - 1]) : null
+      });
+    });
+    return education.slice(0, 5);
+  }
+
+  withoutDates(line) {
+    return line.replace(DATE_RANGE, '').replace(/(?:19|20)\d{2}/g, '').replace(/[\s,|–—-]+$/, '').slice(0, 120);
+  }
+
+  isDegree(line) {
+    return DEGREE_WORDS.test(line) || DEGREE_ABBREVIATIONS.test(line);
+  }
+
+  // "Location: ..." style lines, else a "City, Region" fragment in the contact header
+  extractLocation(lines) {
+    for (const line of lines.slice(0, 40)) {
+      const labelled = line.match(/^(?:location|address|based in|city)\s*[:-]\s*(.+)$/i);
+      if (labelled) return labelled[1].trim().slice(0, 80);
+    }
+    for (const line of lines.slice(0, 8)) {
+      for (const part of line.split(/\s*[|•·●]\s*|\s{2,}/)) {
+        if (/[@\d]/.test(part) || TITLE_WORDS.test(part)) continue;
+        if (/^\p{Lu}[\p{L} .'-]+,\s*\p{Lu}[\p{L} .'-]+$/u.test(part.trim())) return part.trim();
+      }
+    }
+    return '';
+  }
+}
+
+export default new ResumeParser();
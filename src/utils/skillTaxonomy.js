@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import textMatcher from './textMatcher.js';
+
+const DEFAULT_TAXONOMY_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../config/skillTaxonomy.json');
+const SKILL_TAXONOMY_PATH = process.env.SKILL_TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH;
+// Tags that describe the market or a role rather than a skill a person can learn
+const NON_SKILL_CATEGORIES = new Set(['Careers', 'Industry']);
+const NON_SKILL_TAGS = new Set(['developer', 'programming', 'software-engineer']);
+
+/**
+ * Canonical skill vocabulary loaded from SKILL_TAXONOMY_PATH (JSON or YAML).
+ * Each skill has a canonical `name` (the stored tag), a display `label`,
+ * `aliases`, a `category` and an optional `parent` skill. Lookups ignore case,
+ * hyphens and underscores, so "ML", "machine_learning" and "Machine Learning"
+ * all resolve to the same canonical tag. Skills flagged `matchCase` (e.g.
+ * "React", "Rust") only match text that uses their label/alias capitalization.
+ */
+class SkillTaxonomy {
+  constructor() {
+    this.data = null;
+  }
+
+  load() {
+    if (this.data) return this.data;
+
+    let raw = { categories: [], skills: [] };
+    try {
+      const text = fs.readFileSync(SKILL_TAXONOMY_PATH, 'utf8');
+      raw = /\.ya?ml$/i.test(SKILL_TAXONOMY_PATH) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+      console.warn(`Could not load skill taxonomy from ${SKILL_TAXONOMY_PATH}:`, error.message);
+    }
+
+    const skills = (raw?.skills || [])
+      .filter(s => s && s.name)
+      .map(s => ({
+        name: this.slugify(s.name),
+        label: s.label || s.name,
+        category: s.category || 'General',
+        parent: s.parent ? this.slugify(s.parent) : null,
+        aliases: Array.from(new Set((s.aliases || []).map(a => String(a).trim()).filter(Boolean))),
+        matchCase: s.matchCase === true
+      }));
+
+    const byName = new Map(skills.map(s => [s.name, s]));
+    const byAlias = new Map();
+    for (const skill of skills) {
+      for (const term of [skill.name, skill.label, ...skill.aliases]) {
+        const key = this.normalizeTerm(term);
+        if (key && !byAlias.has(key)) byAlias.set(key, skill);
+      }
+    }
+
+    const categories = raw?.categories?.length
+      ? raw.categories
+      : Array.from(new Set(skills.map(s => s.category)));
+
+    const matcher = textMatcher.compile(skills.map(skill => ({
+      key: skill.name,
+      phrases: skill.matchCase ? [skill.label, ...skill.aliases] : [skill.name, ...skill.aliases],
+      matchCase: skill.matchCase
+    })));
+
+    this.data = { version: raw?.version || 1, source: SKILL_TAXONOMY_PATH, categories, skills, byName, byAlias, matcher };
+    return this.data;
+  }
+
+  normalizeTerm(term) {
+    return String(term || '').toLowerCase().replace(/[-_\s]+/g, ' ').trim();
+  }
+
+  // Tag format used in storage: lowercase words joined with hyphens
+  slugify(term) {
+    return this.normalizeTerm(term).replace(/\s+/g, '-');
+  }
+
+  lookup(term) {
+    return this.load().byAlias.get(this.normalizeTerm(term)) || null;
+  }
+
+  // Canonical tag for a term; unknown terms are kept as their slug
+  canonicalize(term) {
+    const skill = this.lookup(term);
+    return skill ? skill.name : this.slugify(term);
+  }
+
+  // Every stored spelling (canonical slug, alias slugs) that maps to the given terms
+  expand(terms = []) {
+    const out = new Set();
+    for (const term of terms) {
+      const skill = this.lookup(term);
+      if (!skill) {
+        out.add(this.slugify(term));
+        continue;
+      }
+      out.add(skill.name);
+      skill.aliases.forEach(alias => out.add(this.slugify(alias)));
+    }
+    return Array.from(out);
+  }
+
+  // alias slug -> canonical name pairs, for canonicalizing tags already in storage
+  aliasPairs() {
+    const pairs = [];
+    for (const skill of this.load().skills) {
+      for (const alias of skill.aliases) {
+        const slug = this.slugify(alias);
+        if (slug !== skill.name) pairs.push({ alias: slug, canonical: skill.name });
+      }
+    }
+    return pairs;
+  }
+
+  // Canonical tags whose name or alias appears in the text as whole words
+  matchText(text) {
+    return this.load().matcher.match(text);
+  }
+
+  // True for taxonomy skills a person can have (excludes market tags like hiring or layoffs)
+  isSkill(term) {
+    const skill = this.lookup(term);
+    return Boolean(skill) && !NON_SKILL_TAGS.has(skill.name) && !NON_SKILL_CATEGORIES.has(skill.category);
+  }
+
+  // Highest-priority category (order of `categories`) among the tags, or null
+  categoryOf(tags = []) {
+    const { categories } = this.load();
+    let best = null;
+    for (const tag of tags) {
+      const skill = this.lookup(tag);
+      if (!skill) continue;
+      const rank = categories.indexOf(skill.category);
+      if (best === null || (rank !== -1 && (best.rank === -1 || rank < best.rank))) {
+        best = { category: skill.category, rank };
+      }
+    }
+    return best ? best.category : null;
+  }
+
+  // Public view used by GET /api/skills/taxonomy
+  describe() {
+    const { version, source, categories, skills } = this.load();
+    return { version, source: path.basename(source), categories, skills, count: skills.length };
+  }
+}
+
+export default new SkillTaxonomy();
@@ -0,0 +1,90 @@
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 15000);
+
+/**
+ * Server-Sent Events helpers for routes that can stream. A stream emits
+ * `progress` events per pipeline stage, `token` events with model output as it
+ * is generated, then one `metadata` event carrying the same body the JSON
+ * response would have (or an `error` event), and closes. A client that
+ * disconnects aborts the pipeline's model generation.
+ */
+class ServerSentEvents {
+  // Streaming is requested with `Accept: text/event-stream` or `?stream=true`
+  wantsStream(req) {
+    const flag = String(req.query.stream || '').toLowerCase();
+    return flag === 'true' || flag === '1' || (req.get('accept') || '').includes('text/event-stream');
+  }
+
+  /**
+   * Start an event stream on the response.
+   * @returns {{ send: (event: string, data: Object) => void, progress: (stage: string, data?: Object) => void, close: () => void, closed: boolean }}
+   */
+  open(req, res) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    const stream = {
+      closed: false,
+      send(event, data) {
+        if (stream.closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      },
+      progress(stage, data = {}) {
+        stream.send('progress', { stage, ...data, at: new Date().toISOString() });
+      },
+      close() {
+        if (stream.closed) return;
+        stream.closed = true;
+        clearInterval(heartbeat);
+        res.end();
+      }
+    };
+
+    // Comment lines keep idle connections open through proxies during slow stages
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    res.on('close', () => {
+      stream.closed = true;
+      clearInterval(heartbeat);
+    });
+    return stream;
+  }
+
+  /**
+   * Run a pipeline as an event stream. `run` receives { onProgress, onToken, signal }
+   * hooks and resolves to the response body, which is sent as `metadata`;
+   * a thrown error becomes an `error` event. `signal` aborts when the client
+   * disconnects, for passing on to geminiClient.generateContentStream.
+   */
+  async respond(req, res, run) {
+    const stream = this.open(req, res);
+    const controller = new AbortController();
+    // The response closes before it has ended only when the connection drops (req 'close'
+    // also fires as soon as a POST body has been read)
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    try {
+      const body = await run({
+        onProgress: (stage, data) => stream.progress(stage, data),
+        onToken: text => stream.send('token', { text }),
+        signal: controller.signal
+      });
+      stream.send('metadata', body);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`Stream closed by the client, generation aborted (${req.method} ${req.originalUrl})`);
+        return;
+      }
+      console.error('Stream error:', error);
+      stream.send('error', { success: false, error: error.message, ...(error.details ? { details: error.details } : {}) });
+    } finally {
+      stream.close();
+    }
+  }
+}
+
+export default new ServerSentEvents();
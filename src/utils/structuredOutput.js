@@ -0,0 +1,90 @@
+import Ajv from 'ajv';
+import geminiClient from '../vertexclient/geminiClient.js';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map();
+
+class StructuredOutput {
+  getValidator(schema) {
+    if (!validators.has(schema)) validators.set(schema, ajv.compile(schema));
+    return validators.get(schema);
+  }
+
+  // Ajv errors as short "path: message" lines the model can act on
+  formatErrors(errors = []) {
+    return errors.map(e => `${e.instancePath || '(root)'}: ${e.message}${e.params?.allowedValues ? ` (${e.params.allowedValues.join(', ')})` : ''}`);
+  }
+
+  /**
+   * Validate data against a JSON Schema plus optional semantic checks.
+   * @param {Object} schema
+   * @param {*} data
+   * @param {Function} [check] - (data) => string[] of extra errors
+   * @returns {{ valid: boolean, errors: string[] }}
+   */
+  validate(schema, data, check) {
+    const validator = this.getValidator(schema);
+    const errors = validator(data) ? [] : this.formatErrors(validator.errors);
+    if (errors.length === 0 && check) errors.push(...check(data));
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Parse model text as JSON, tolerating code fences and text around the payload
+  parseJson(text) {
+    const raw = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+    try {
+      return JSON.parse(raw);
+    } catch {
+      const starts = [raw.indexOf('{'), raw.indexOf('[')].filter(i => i >= 0);
+      if (starts.length === 0) throw new Error('No JSON found in model output');
+      const start = Math.min(...starts);
+      const end = Math.max(raw.lastIndexOf('}'), raw.lastIndexOf(']'));
+      return JSON.parse(raw.slice(start, end + 1));
+    }
+  }
+
+  /**
+   * Ask the model for JSON, validate it, and on failure feed the errors back in a
+   * repair prompt, up to `maxAttempts` model calls in total.
+   * @returns {Promise<{ valid: boolean, data: *, errors: string[], attempts: number, finishReason: string, raw: string }>}
+   */
+  async generate({ prompt, schema, check, maxAttempts = 3, options = {} }) {
+    let currentPrompt = prompt;
+    let last = { valid: false, data: null, errors: [], attempts: 0, finishReason: undefined, raw: '' };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const gen = await geminiClient.generateContent(currentPrompt, { ...options, responseMimeType: 'application/json' });
+      const raw = (gen?.text || '').trim();
+      let data = null;
+      let errors;
+      try {
+        data = this.parseJson(raw);
+        ({ errors } = this.validate(schema, data, check));
+      } catch (parseErr) {
+        errors = [`Output is not valid JSON: ${parseErr.message}`];
+      }
+
+      last = { valid: errors.length === 0, data, errors, attempts: attempt, finishReason: gen?.finishReason, raw };
+      if (last.valid) return last;
+
+      console.warn(`Structured output attempt ${attempt}/${maxAttempts} failed validation:`, errors.slice(0, 5).join('; '));
+      currentPrompt = this.buildRepairPrompt(prompt, raw, errors);
+    }
+    return last;
+  }
+
+  buildRepairPrompt(originalPrompt, previousOutput, errors) {
+    return `${originalPrompt}
+
+YOUR PREVIOUS OUTPUT WAS REJECTED.
+Previous output:
+${previousOutput.slice(0, 8000) || '(empty)'}
+
+Validation errors:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+Return the corrected, complete JSON only. Fix every error listed above and keep all valid content unchanged.`;
+  }
+}
+
+export default new StructuredOutput();
@@ -0,0 +1,69 @@
+/**
+ * Word-boundary aware phrase matching. Text and phrases are split into the
+ * same tokens, so a phrase only matches whole, consecutive words: "ai" matches
+ * "AI-powered" and "Gen AI" but not "said" or "Dubai", and "machine learning"
+ * matches "machine-learning" and "Machine Learning".
+ */
+class TextMatcher {
+  /**
+   * Word tokens, lowercased unless `preserveCase` is set. Hyphens, slashes and
+   * dots split words ("node.js" -> node, js), possessive "'s" is dropped, dotted
+   * acronyms collapse ("A.I." -> ai, "U.S." -> us) and "c++" / "c#" style names
+   * are kept.
+   */
+  tokenize(text, { preserveCase = false } = {}) {
+    const tokens = String(text || '')
+      .replace(/\b((?:\p{L}\.){2,})/gu, match => match.replace(/\./g, ''))
+      .replace(/['’][sS]\b/g, '')
+      .split(/[^\p{L}\p{N}+#]+/u)
+      .map(token => (/^\p{L}(\+\+|#)$/u.test(token) ? token : token.replace(/^[+#]+|[+#]+$/g, '')))
+      .filter(Boolean);
+    return preserveCase ? tokens : tokens.map(token => token.toLowerCase());
+  }
+
+  /**
+   * Build a reusable matcher for a set of phrases.
+   * @param {Array<{ key: string, phrases: string[], matchCase?: boolean }>} entries -
+   *   each key is reported once when any of its phrases occurs; with `matchCase`
+   *   the phrase must appear with the same capitalization (e.g. "React", "Rust")
+   * @returns {{ match: (text: string) => string[] }}
+   */
+  compile(entries = []) {
+    // first lowercase token -> [{ key, tokens, matchCase }], longest phrases first
+    const index = new Map();
+    for (const { key, phrases, matchCase = false } of entries) {
+      for (const phrase of phrases) {
+        const tokens = this.tokenize(phrase, { preserveCase: matchCase });
+        if (tokens.length === 0) continue;
+        const first = tokens[0].toLowerCase();
+        if (!index.has(first)) index.set(first, []);
+        index.get(first).push({ key, tokens, matchCase });
+      }
+    }
+    for (const list of index.values()) list.sort((a, b) => b.tokens.length - a.tokens.length);
+
+    return {
+      match: (text) => {
+        const raw = this.tokenize(text, { preserveCase: true });
+        const lower = raw.map(token => token.toLowerCase());
+        const found = new Set();
+        for (let i = 0; i < lower.length; i++) {
+          const candidates = index.get(lower[i]);
+          if (!candidates) continue;
+          for (const { key, tokens, matchCase } of candidates) {
+            const words = matchCase ? raw : lower;
+            if (tokens.every((token, j) => words[i + j] === token)) found.add(key);
+          }
+        }
+        return Array.from(found);
+      }
+    };
+  }
+
+  // True when any of the phrases occurs as whole words in the text
+  containsAny(text, phrases = []) {
+    return this.compile([{ key: 'hit', phrases }]).match(text).length > 0;
+  }
+}
+
+export default new TextMatcher();
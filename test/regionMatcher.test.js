@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import regionMatcher from '../src/utils/regionMatcher.js';
+
+test('the pronoun "us" is not the United States', () => {
+  assert.deepEqual(regionMatcher.match('Can you help us find remote jobs?'), []);
+  assert.deepEqual(regionMatcher.match('Tell us about AI jobs in India'), ['India']);
+  assert.equal(regionMatcher.fromTags(['us', 'jobs']), null);
+});
+
+test('US, USA and U.S. still name the United States', () => {
+  assert.deepEqual(regionMatcher.match('US visa rules tighten'), ['United States']);
+  assert.deepEqual(regionMatcher.match('Hiring slows in the U.S. and the UK'), ['United States', 'United Kingdom']);
+  assert.deepEqual(regionMatcher.match('Remote work in the USA'), ['United States']);
+  assert.equal(regionMatcher.resolve('us'), 'United States');
+  assert.equal(regionMatcher.resolve('USA'), 'United States');
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import skillTaxonomy from '../src/utils/skillTaxonomy.js';
+import textMatcher from '../src/utils/textMatcher.js';
+
+// Headlines with the taxonomy tags a reader would give them
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/headlines.json', import.meta.url), 'utf8'));
+
+// The matching extractTags used before: the same phrases found as substrings of the lowercased text
+function substringMatch(text) {
+  const lower = text.toLowerCase();
+  return skillTaxonomy.load().skills
+    .filter(skill => [skill.matchCase ? skill.label : skill.name, ...skill.aliases].some(phrase => lower.includes(phrase.toLowerCase())))
+    .map(skill => skill.name);
+}
+
+// keyword -> { tp, fp, fn } over all fixtures
+function score(match) {
+  const counts = new Map();
+  const entry = key => {
+    if (!counts.has(key)) counts.set(key, { tp: 0, fp: 0, fn: 0 });
+    return counts.get(key);
+  };
+  for (const { headline, tags } of fixtures) {
+    const found = new Set(match(headline));
+    for (const tag of found) entry(tag)[tags.includes(tag) ? 'tp' : 'fp']++;
+    for (const tag of tags) if (!found.has(tag)) entry(tag).fn++;
+  }
+  return counts;
+}
+
+const precision = ({ tp, fp }) => (tp + fp === 0 ? null : tp / (tp + fp));
+const percent = value => (value === null ? '   -' : `${Math.round(value * 100)}%`.padStart(4));
+
+test('per-keyword precision on fixture headlines', (t) => {
+  const words = score(text => skillTaxonomy.matchText(text));
+  const substrings = score(substringMatch);
+
+  const keys = Array.from(new Set([...words.keys(), ...substrings.keys()])).sort();
+  const empty = { tp: 0, fp: 0, fn: 0 };
+  t.diagnostic(`${'keyword'.padEnd(24)}word-boundary  substring   (${fixtures.length} headlines)`);
+  for (const key of keys) {
+    const w = words.get(key) || empty;
+    const s = substrings.get(key) || empty;
+    t.diagnostic(`${key.padEnd(24)}${percent(precision(w))} (${w.tp}/${w.tp + w.fp})`.padEnd(39) + `${percent(precision(s))} (${s.tp}/${s.tp + s.fp})`);
+  }
+
+  const total = counts => Array.from(counts.values()).reduce((sum, c) => ({ tp: sum.tp + c.tp, fp: sum.fp + c.fp }), { tp: 0, fp: 0 });
+  const overall = precision(total(words));
+  t.diagnostic(`overall precision: word-boundary ${percent(overall)}, substring ${percent(precision(total(substrings)))}`);
+
+  // No keyword may get worse than plain substring matching, and overall precision stays high
+  for (const key of words.keys()) {
+    const before = precision(substrings.get(key) || empty);
+    const after = precision(words.get(key));
+    if (before !== null && after !== null) {
+      assert.ok(after >= before, `${key}: word-boundary precision ${after} below substring ${before}`);
+    }
+  }
+  assert.ok(overall >= 0.95, `overall precision ${overall} below 0.95`);
+});
+
+test('short keywords only match whole words', () => {
+  assert.deepEqual(skillTaxonomy.matchText('Apple said to maintain output in Dubai'), []);
+  assert.deepEqual(skillTaxonomy.matchText('HTML and CSS basics'), []);
+  assert.deepEqual(skillTaxonomy.matchText('AI-powered search'), ['ai']);
+  assert.deepEqual(skillTaxonomy.matchText('Hiring for ML roles').sort(), ['hiring', 'machine-learning']);
+});
+
+test('phrases match across hyphens, dots and case', () => {
+  const matcher = textMatcher.compile([
+    { key: 'machine-learning', phrases: ['machine learning'] },
+    { key: 'nodejs', phrases: ['node.js'] },
+    { key: 'ai', phrases: ['a.i.'] },
+    { key: 'react', phrases: ['React'], matchCase: true }
+  ]);
+  assert.deepEqual(matcher.match('Machine-Learning jobs'), ['machine-learning']);
+  assert.deepEqual(matcher.match('Upgrading Node.js'), ['nodejs']);
+  assert.deepEqual(matcher.match('How A.I. hires'), ['ai']);
+  assert.deepEqual(matcher.match('Fans react to React 19'), ['react']);
+  assert.deepEqual(matcher.match('fans react angrily'), []);
+});
+
+test('tokenize keeps c++ and c# and drops possessives', () => {
+  assert.deepEqual(textMatcher.tokenize("C++ and C# in Google's stack"), ['c++', 'and', 'c#', 'in', 'google', 'stack']);
+});